@@ -1,6 +1,7 @@
 /**
  * Video Player Library
- * A single-file, framework-agnostic video player supporting YouTube, Vimeo, and MP4
+ * A single-file, framework-agnostic video player supporting YouTube, Vimeo,
+ * progressive video files (MP4, WebM, Ogg), HLS and DASH
  *
  * @version 1.0.0
  * @license MIT
@@ -46,11 +47,111 @@
     return null;
   }
 
+  const PROGRESSIVE_MIME_TYPES = {
+    mp4: "video/mp4",
+    m4v: "video/mp4",
+    mov: "video/quicktime",
+    webm: "video/webm",
+    ogv: "video/ogg",
+    ogg: "video/ogg",
+  };
+
+  /**
+   * Get the MIME type of a progressive video file (MP4, WebM, Ogg, MOV, M4V)
+   * from its extension, or null if the URL is not one
+   */
+  function getProgressiveMimeType(url) {
+    const match = /\.(mp4|m4v|mov|webm|ogv|ogg)(\?|#|$)/i.exec(url);
+    return match ? PROGRESSIVE_MIME_TYPES[match[1].toLowerCase()] : null;
+  }
+
+  /**
+   * Check if URL is an HLS playlist
+   */
+  function isHLS(url) {
+    return /\.m3u8(\?|#|$)/i.test(url);
+  }
+
+  /**
+   * Check if URL is an MPEG-DASH manifest
+   */
+  function isDASH(url) {
+    return /\.mpd(\?|#|$)/i.test(url);
+  }
+
+  /**
+   * Check if the browser plays HLS natively (Safari, iOS, some Android)
+   */
+  function canPlayHLSNatively() {
+    const video = document.createElement("video");
+    return !!(
+      video.canPlayType &&
+      (video.canPlayType("application/vnd.apple.mpegurl") ||
+        video.canPlayType("application/x-mpegURL"))
+    );
+  }
+
+  /**
+   * Get the Media Source Extensions constructor, if available
+   */
+  function getMediaSource() {
+    return window.MediaSource || window.WebKitMediaSource || null;
+  }
+
+  /**
+   * Resolve a (possibly relative) URL against a base URL
+   */
+  function resolveURL(url, base) {
+    try {
+      return new URL(url, base).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Create an Error carrying a normalized error code (see ERROR_CODES)
+   */
+  function createPlaybackError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Fetch a text resource (playlists, manifests)
+   */
+  function fetchText(url) {
+    return fetch(url).then((response) => {
+      if (!response.ok) {
+        throw createPlaybackError(
+          "network",
+          `HTTP ${response.status} loading ${url}`
+        );
+      }
+      return response.text();
+    });
+  }
+
   /**
-   * Check if URL is an MP4 file
+   * Fetch a binary resource, optionally restricted to a byte range
    */
-  function isMP4(url) {
-    return /\.mp4(\?|$)/i.test(url);
+  function fetchBuffer(url, range) {
+    const init = {};
+    if (range) {
+      init.headers = {
+        Range: `bytes=${range.start}-${range.start + range.length - 1}`,
+      };
+    }
+    return fetch(url, init).then((response) => {
+      if (!response.ok) {
+        throw createPlaybackError(
+          "network",
+          `HTTP ${response.status} loading ${url}`
+        );
+      }
+      return response.arrayBuffer();
+    });
   }
 
   /**
@@ -85,6 +186,25 @@
     xhr.send();
   }
 
+  /**
+   * Draw a video's current frame into a JPEG data URL, scaled down to
+   * `width` if given. Returns `{ url, width, height }`; throws when the
+   * video is cross-origin without CORS headers.
+   */
+  function captureVideoFrame(video, width) {
+    const scale = width ? Math.min(1, width / video.videoWidth) : 1;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    return {
+      url: canvas.toDataURL("image/jpeg"),
+      width: canvas.width,
+      height: canvas.height,
+    };
+  }
+
   /**
    * Capture first frame from MP4 video
    */
@@ -99,12 +219,7 @@
 
     video.onseeked = function () {
       try {
-        const canvas = document.createElement("canvas");
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        const ctx = canvas.getContext("2d");
-        ctx.drawImage(video, 0, 0);
-        callback(canvas.toDataURL("image/jpeg"));
+        callback(captureVideoFrame(video).url);
       } catch (e) {
         callback(null);
       }
@@ -129,44 +244,287 @@
     return ratios[ratio] || ratios["16:9"];
   }
 
+  /**
+   * Parse a time option given in seconds ("90", "90.5") or as a clock time
+   * ("1:30", "1:02:03"). Returns null when absent or invalid.
+   */
+  function parseTimeOption(value) {
+    if (value === null || value === undefined || value === "") return null;
+    if (typeof value === "number") return value >= 0 ? value : null;
+    const seconds = String(value)
+      .trim()
+      .split(":")
+      .reduce((total, part) => total * 60 + parseFloat(part), 0);
+    return isFinite(seconds) && seconds >= 0 ? seconds : null;
+  }
+
+  /**
+   * Format seconds as "m:ss", or "h:mm:ss" from an hour up
+   */
+  function formatTime(seconds) {
+    if (!isFinite(seconds)) return "0:00";
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const pad = (value) => (value < 10 ? "0" : "") + value;
+    return hours > 0
+      ? hours + ":" + pad(mins) + ":" + pad(secs)
+      : mins + ":" + pad(secs);
+  }
+
+  /**
+   * Format seconds as an ISO 8601 duration, e.g. "PT1H2M3S"
+   */
+  function formatISODuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return (
+      "PT" +
+      (hours ? hours + "H" : "") +
+      (hours || mins ? mins + "M" : "") +
+      secs +
+      "S"
+    );
+  }
+
+  // ============================================================================
+  // STORAGE
+  // ============================================================================
+
+  /**
+   * Default storage adapter. Adapters implement the synchronous part of the
+   * Web Storage API: getItem(key), setItem(key, value) and removeItem(key).
+   */
+  const localStorageAdapter = {
+    getItem: (key) => window.localStorage.getItem(key),
+    setItem: (key, value) => window.localStorage.setItem(key, value),
+    removeItem: (key) => window.localStorage.removeItem(key),
+  };
+
+  let storage = localStorageAdapter;
+
+  /**
+   * Replace the storage used for remembered preferences and positions
+   */
+  function setStorage(adapter) {
+    if (
+      !adapter ||
+      typeof adapter.getItem !== "function" ||
+      typeof adapter.setItem !== "function" ||
+      typeof adapter.removeItem !== "function"
+    ) {
+      throw new Error(
+        "VideoPlayer: a storage adapter needs getItem(), setItem() and removeItem()"
+      );
+    }
+    storage = adapter;
+  }
+
+  /**
+   * Read a remembered user preference
+   */
+  function readPreference(key) {
+    try {
+      return storage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a user preference across page loads
+   */
+  function writePreference(key, value) {
+    try {
+      storage.setItem(key, value);
+    } catch (e) {
+      // Storage may be unavailable (private mode, sandboxed iframes)
+    }
+  }
+
+  function removePreference(key) {
+    try {
+      storage.removeItem(key);
+    } catch (e) {
+      // See writePreference()
+    }
+  }
+
+  // ============================================================================
+  // PROVIDER REGISTRY
+  // ============================================================================
+
+  /**
+   * Registered source providers, checked in order. Custom providers are
+   * added in front of the built-in ones so they can claim URLs first.
+   *
+   * A provider is an object with:
+   * - `name` - Source type, e.g. "youtube"
+   * - `match(url, type)` - Returns the source id (or an object of extra
+   *   source fields including `id`) when the provider handles the URL,
+   *   otherwise a falsy value. `type` is the optional source type hint.
+   * - `createPlayer(container, source, options)` - Returns a BasePlayer.
+   *   `options.playOnLoad` is set when a click loaded the player and it
+   *   should start playing as soon as it can
+   * - `getThumbnail(source, callback)` - Optional; calls back with a URL or null
+   * - `canPlay(source)` - Optional; whether this browser can play the source
+   * - `iframe` - Optional; true when the player renders into an iframe,
+   *   which needs a click overlay to toggle playback
+   */
+  const providers = [];
+
+  function registerProvider(provider) {
+    if (
+      !provider ||
+      !provider.name ||
+      typeof provider.match !== "function" ||
+      typeof provider.createPlayer !== "function"
+    ) {
+      throw new Error(
+        "VideoPlayer: a provider needs a name, match() and createPlayer()"
+      );
+    }
+
+    const existing = providers.findIndex((p) => p.name === provider.name);
+    if (existing !== -1) {
+      // Replacing a provider keeps its position
+      providers[existing] = provider;
+    } else {
+      providers.unshift(provider);
+    }
+  }
+
+  function getProvider(name) {
+    return providers.find((provider) => provider.name === name) || null;
+  }
+
   // ============================================================================
   // SOURCE DETECTOR
   // ============================================================================
 
+  // MIME types accepted as `type` hints for streaming sources
+  const STREAM_TYPE_HINTS = {
+    "application/vnd.apple.mpegurl": "hls",
+    "application/x-mpegurl": "hls",
+    "audio/mpegurl": "hls",
+    "application/dash+xml": "dash",
+  };
+
+  // Source types played through a <video> element, which can fall back
+  // from one to the next on error
+  const MEDIA_ELEMENT_TYPES = ["mp4", "hls", "dash"];
+
   class SourceDetector {
-    static detect(url) {
+    /**
+     * Detect the source type of a URL by asking each registered provider.
+     * The optional `type` hint (a MIME type such as "video/webm", or a
+     * provider name such as "hls") is needed for URLs without a
+     * recognizable extension, e.g. signed CDN URLs.
+     */
+    static detect(url, type) {
       if (!url || typeof url !== "string") {
         return { type: null, id: null };
       }
 
-      const youtubeId = extractYouTubeId(url);
-      if (youtubeId) {
-        return { type: "youtube", id: youtubeId };
+      // A hinted provider gets the first look at the URL
+      const hinted = type
+        ? getProvider(SourceDetector.getHintedType(type))
+        : null;
+      const candidates = hinted
+        ? [hinted].concat(providers.filter((provider) => provider !== hinted))
+        : providers;
+
+      for (let i = 0; i < candidates.length; i++) {
+        const match = candidates[i].match(url, type || null);
+        if (match) {
+          const fields = typeof match === "object" ? match : { id: match };
+          return Object.assign({ type: candidates[i].name }, fields);
+        }
+      }
+
+      return { type: null, id: null };
+    }
+
+    /**
+     * Map a type hint to a provider name
+     */
+    static getHintedType(type) {
+      const hint = type.split(";")[0].trim().toLowerCase();
+      if (STREAM_TYPE_HINTS[hint]) {
+        return STREAM_TYPE_HINTS[hint];
       }
+      if (/^video\//.test(hint)) {
+        return "mp4";
+      }
+      return hint;
+    }
 
-      const vimeoId = extractVimeoId(url);
-      if (vimeoId) {
-        return { type: "vimeo", id: vimeoId };
+    /**
+     * Check whether this browser can play a detected source
+     */
+    static canPlay(source) {
+      const provider = getProvider(source.type);
+      if (!provider) {
+        return false;
       }
+      // Outside the browser (server-side rendering) any recognized source
+      // will do
+      if (!provider.canPlay || !window) {
+        return true;
+      }
+      return !!provider.canPlay(source);
+    }
 
-      if (isMP4(url)) {
-        return { type: "mp4", id: url };
+    /**
+     * Pick the first playable source from an ordered list of URLs or
+     * `{ src, type }` objects. Later playable candidates that a <video>
+     * element can also play are attached as `fallbacks`.
+     */
+    static select(sources) {
+      const playable = sources
+        .map((candidate) =>
+          typeof candidate === "string" ? { src: candidate } : candidate
+        )
+        .map((candidate) =>
+          Object.assign(SourceDetector.detect(candidate.src, candidate.type), {
+            src: candidate.src,
+          })
+        )
+        .filter((source) => source.type && SourceDetector.canPlay(source));
+
+      if (!playable.length) {
+        return { type: null, id: null };
       }
 
-      return { type: null, id: null };
+      const source = playable[0];
+      if (MEDIA_ELEMENT_TYPES.indexOf(source.type) !== -1) {
+        source.fallbacks = playable
+          .slice(1)
+          .filter(
+            (fallback) => MEDIA_ELEMENT_TYPES.indexOf(fallback.type) !== -1
+          );
+      }
+      return source;
     }
 
     static getThumbnail(source, callback) {
-      if (source.type === "youtube" && source.id) {
-        callback(getYouTubeThumbnail(source.id));
-      } else if (source.type === "vimeo" && source.id) {
-        getVimeoThumbnail(source.id, callback);
-      } else if (source.type === "mp4" && source.id) {
-        captureMP4Thumbnail(source.id, callback);
+      const provider = getProvider(source.type);
+      if (provider && provider.getThumbnail && source.id) {
+        provider.getThumbnail(source, callback);
       } else {
         callback(null);
       }
     }
+
+    /**
+     * Whether the source's player renders into an iframe
+     */
+    static usesIframe(source) {
+      const provider = getProvider(source.type);
+      return !!(provider && provider.iframe);
+    }
   }
 
   // ============================================================================
@@ -212,33 +570,154 @@
   // BASE PLAYER INTERFACE
   // ============================================================================
 
-  class BasePlayer {
+  const DEFAULT_PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+  // Time updates arrive every ~250ms; treat this close to the clip end as done
+  const CLIP_END_TOLERANCE = 0.25;
+
+  /**
+   * Normalized error codes, with the backend codes they map from
+   */
+  const ERROR_CODES = {
+    aborted: "Playback was aborted",
+    network: "A network error interrupted playback",
+    decode: "The video could not be decoded",
+    "not-supported": "The video format is not supported",
+    "not-found": "The video was not found",
+    "not-allowed": "The video cannot be played here",
+    unknown: "An unknown playback error occurred",
+  };
+
+  // HTMLMediaElement MediaError codes
+  const MEDIA_ERROR_CODES = {
+    1: "aborted",
+    2: "network",
+    3: "decode",
+    4: "not-supported",
+  };
+
+  // YouTube onError codes
+  const YOUTUBE_ERROR_CODES = {
+    2: "not-found", // Invalid video id
+    5: "decode", // HTML5 player error
+    100: "not-found",
+    101: "not-allowed", // Embedding disabled by the owner
+    150: "not-allowed",
+  };
+
+  /**
+   * Minimal event emitter with `off`, `once` and "*" wildcard listeners.
+   * Wildcard listeners are called with `(event, data)`.
+   */
+  class EventEmitter {
+    constructor() {
+      this.callbacks = {};
+    }
+
+    on(event, callback) {
+      if (!this.callbacks[event]) {
+        this.callbacks[event] = [];
+      }
+      this.callbacks[event].push(callback);
+      return this;
+    }
+
+    /**
+     * Remove a listener, or every listener of `event` without a callback
+     */
+    off(event, callback) {
+      const callbacks = this.callbacks[event];
+      if (callbacks) {
+        this.callbacks[event] = callback
+          ? callbacks.filter(
+              (listener) =>
+                listener !== callback && listener.originalCallback !== callback
+            )
+          : [];
+      }
+      return this;
+    }
+
+    once(event, callback) {
+      const listener = (...args) => {
+        this.off(event, listener);
+        callback(...args);
+      };
+      listener.originalCallback = callback;
+      return this.on(event, listener);
+    }
+
+    emit(event, data) {
+      // Copy, since once() listeners remove themselves while we iterate
+      (this.callbacks[event] || []).slice().forEach((callback) => {
+        callback(data);
+      });
+      if (event !== "*") {
+        (this.callbacks["*"] || []).slice().forEach((callback) => {
+          callback(event, data);
+        });
+      }
+    }
+  }
+
+  /**
+   * Common interface of all backends. Control methods update the local
+   * state immediately; backends may also return the promise of the
+   * underlying API call (Vimeo SDK, HTMLMediaElement.play()).
+   *
+   * Every backend emits the same events:
+   * - `ready` - Metadata is available
+   * - `play`, `pause`, `ended`, `waiting` - No payload
+   * - `timeupdate` - Current time in seconds, while it changes
+   * - `seeking`, `seeked` - Target / reached time in seconds
+   * - `volumechange` - `{ volume, muted }`
+   * - `ratechange` - Playback rate
+   * - `durationchange` - Duration in seconds
+   * - `error` - `{ code, message, provider }`, `code` being a key of ERROR_CODES
+   * - `enterpip`, `leavepip` - Picture-in-Picture started / ended
+   *
+   * With `start`/`end` options only that clip of the video plays. Times in
+   * events and getters stay relative to the whole video; getClipTime() and
+   * getClipDuration() give the clip-relative values the controls show.
+   */
+  class BasePlayer extends EventEmitter {
     constructor(container, source, options) {
+      super();
       this.container = container;
       this.source = source;
       this.options = options;
       this.isPaused = true;
+      this.clipFinished = false; // Set by finishClip() until the next play()
       this.currentTime = 0;
       this.duration = 0;
       this.volume = options.muted ? 0 : 1;
       this.isMuted = options.muted || false;
-      this.callbacks = {};
+      this.playbackRate = 1;
+      this.isPictureInPicture = false;
+      this.clipStart = parseTimeOption(options.start) || 0;
+      this.clipEnd = parseTimeOption(options.end);
+      if (this.clipEnd !== null && this.clipEnd <= this.clipStart) {
+        this.clipEnd = null;
+      }
       this.playerElement = null;
       this.manager = PlayerManager.getInstance();
       this.manager.register(this);
     }
 
-    on(event, callback) {
-      if (!this.callbacks[event]) {
-        this.callbacks[event] = [];
-      }
-      this.callbacks[event].push(callback);
+    /**
+     * Emit a normalized `error` event
+     */
+    emitError(code, message) {
+      const normalized = ERROR_CODES[code] ? code : "unknown";
+      this.emit("error", {
+        code: normalized,
+        message: message || ERROR_CODES[normalized],
+        provider: this.source.type,
+      });
     }
 
-    emit(event, data) {
-      if (this.callbacks[event]) {
-        this.callbacks[event].forEach((callback) => callback(data));
-      }
+    emitVolumeChange() {
+      this.emit("volumechange", { volume: this.volume, muted: this.isMuted });
     }
 
     isPlaying() {
@@ -250,7 +729,15 @@
       if (!this.options.autoplay) {
         this.manager.pauseAll(this);
       }
+      // Replaying a finished clip starts it over
+      if (
+        this.clipEnd !== null &&
+        this.getCurrentTime() >= this.clipEnd - CLIP_END_TOLERANCE
+      ) {
+        this.setCurrentTime(this.clipStart);
+      }
       this.isPaused = false;
+      this.clipFinished = false;
     }
 
     pause() {
@@ -270,6 +757,47 @@
       this.isMuted = muted;
     }
 
+    setPlaybackRate(rate) {
+      this.playbackRate = rate;
+    }
+
+    getPlaybackRate() {
+      return this.playbackRate;
+    }
+
+    getAvailablePlaybackRates() {
+      return DEFAULT_PLAYBACK_RATES;
+    }
+
+    supportsPictureInPicture() {
+      return false;
+    }
+
+    /**
+     * Move the video into a floating Picture-in-Picture window. Backends
+     * that support it emit `enterpip` once it's open.
+     * @returns {Promise<void>}
+     */
+    enterPictureInPicture() {
+      return Promise.reject(
+        createPlaybackError(
+          "not-supported",
+          "VideoPlayer: Picture-in-Picture is not supported for this video"
+        )
+      );
+    }
+
+    exitPictureInPicture() {
+      return Promise.resolve();
+    }
+
+    setPictureInPicture(active) {
+      if (active !== this.isPictureInPicture) {
+        this.isPictureInPicture = active;
+        this.emit(active ? "enterpip" : "leavepip");
+      }
+    }
+
     getDuration() {
       return this.duration;
     }
@@ -278,9 +806,76 @@
       return this.currentTime;
     }
 
+    hasClip() {
+      return this.clipStart > 0 || this.clipEnd !== null;
+    }
+
+    clampToClip(time) {
+      const end = this.clipEnd !== null ? this.clipEnd : Infinity;
+      return Math.max(this.clipStart, Math.min(time, end));
+    }
+
+    /**
+     * Length of the clip; the whole duration without `start`/`end`
+     */
+    getClipDuration() {
+      const duration = this.getDuration() || 0;
+      const end =
+        this.clipEnd !== null && (!duration || this.clipEnd < duration)
+          ? this.clipEnd
+          : duration;
+      return Math.max(0, end - this.clipStart);
+    }
+
+    /**
+     * Current time from the start of the clip
+     */
+    getClipTime() {
+      return Math.max(
+        0,
+        Math.min(this.getCurrentTime() - this.clipStart, this.getClipDuration())
+      );
+    }
+
+    /**
+     * Keep playback inside the clip. Backends call this on time updates;
+     * reaching the end pauses and emits `ended`, or loops with `loop`.
+     */
+    enforceClip(time) {
+      if (this.isPaused || !this.hasClip()) {
+        return;
+      }
+      if (time < this.clipStart - CLIP_END_TOLERANCE) {
+        this.setCurrentTime(this.clipStart);
+      } else if (
+        this.clipEnd !== null &&
+        time >= this.clipEnd - CLIP_END_TOLERANCE
+      ) {
+        this.finishClip();
+      }
+    }
+
+    /**
+     * Handle the end of playback: loop back to the clip start or end
+     */
+    finishClip() {
+      if (this.options.loop) {
+        this.setCurrentTime(this.clipStart);
+        this.play();
+      } else {
+        this.pause();
+        this.isPaused = true;
+        this.clipFinished = true;
+        this.emit("ended");
+      }
+    }
+
     destroy() {
       this.manager.unregister(this);
       this.callbacks = {};
+      if (this.playerElement && this.playerElement.parentNode) {
+        this.playerElement.parentNode.removeChild(this.playerElement);
+      }
     }
   }
 
@@ -324,6 +919,7 @@
     constructor(container, source, options) {
       super(container, source, options);
       this.ytPlayer = null;
+      this.pendingSeek = null; // Target of a seek not yet reported as seeked
       this.init();
     }
 
@@ -348,26 +944,38 @@
         Math.random().toString(36).substr(2, 9);
       this.container.appendChild(iframe);
 
+      const playerVars = {
+        autoplay: this.options.autoplay || this.options.playOnLoad ? 1 : 0,
+        start: Math.floor(this.clipStart),
+        mute: this.options.muted ? 1 : 0,
+        controls: 0,
+        rel: 0, // Disable related videos/suggestions
+        modestbranding: 1,
+        playsinline: 1,
+        enablejsapi: 1,
+        origin: window.location.origin,
+        iv_load_policy: 3, // Hide video annotations
+        fs: 0, // Disable YouTube's native fullscreen (we handle it ourselves)
+        cc_load_policy: 0, // Disable closed captions by default
+      };
+      if (this.clipEnd !== null) {
+        playerVars.end = Math.ceil(this.clipEnd);
+      }
+
       this.ytPlayer = new window.YT.Player(iframe.id, {
         videoId: this.source.id,
-        playerVars: {
-          autoplay: this.options.autoplay ? 1 : 0,
-          mute: this.options.muted ? 1 : 0,
-          controls: 0,
-          rel: 0, // Disable related videos/suggestions
-          modestbranding: 1,
-          playsinline: 1,
-          enablejsapi: 1,
-          origin: window.location.origin,
-          iv_load_policy: 3, // Hide video annotations
-          fs: 0, // Disable YouTube's native fullscreen (we handle it ourselves)
-          cc_load_policy: 0, // Disable closed captions by default
-        },
+        playerVars: playerVars,
         events: {
           onReady: () => {
+            // The API replaced our placeholder <div> with its iframe
+            this.playerElement = this.ytPlayer.getIframe();
             this.duration = this.ytPlayer.getDuration();
+            this.emit("durationchange", this.duration);
+            if (this.playbackRate !== 1) {
+              this.setPlaybackRate(this.playbackRate);
+            }
             this.emit("ready");
-            if (this.options.autoplay) {
+            if (this.options.autoplay || this.options.playOnLoad) {
               this.play();
             }
           },
@@ -378,34 +986,53 @@
             } else if (event.data === window.YT.PlayerState.PAUSED) {
               this.isPaused = true;
               this.emit("pause");
+            } else if (event.data === window.YT.PlayerState.BUFFERING) {
+              this.emit("waiting");
             } else if (event.data === window.YT.PlayerState.ENDED) {
-              // If loop is enabled, YouTube will handle it automatically via playlist parameter
-              // But we still emit the event for consistency
-              if (this.options.loop) {
-                // YouTube loop is handled by playlist parameter, so video will restart automatically
-                this.isPaused = false;
-                this.emit("play");
-              } else {
-                this.isPaused = true;
-                this.emit("ended");
+              // A clip enforceClip() already finished has emitted `ended`
+              if (!this.clipFinished) {
+                this.finishClip();
               }
             }
           },
+          onPlaybackRateChange: (event) => {
+            this.playbackRate = event.data;
+            this.emit("ratechange", event.data);
+          },
           onError: (event) => {
-            this.emit("error", event.data);
+            this.emitError(YOUTUBE_ERROR_CODES[event.data] || "unknown");
           },
         },
       });
 
       this.playerElement = iframe;
 
-      // Update current time periodically
-      this.timeUpdateInterval = setInterval(() => {
-        if (this.ytPlayer && this.ytPlayer.getCurrentTime) {
-          this.currentTime = this.ytPlayer.getCurrentTime();
-          this.emit("timeupdate", this.currentTime);
-        }
-      }, 100);
+      // The IFrame API has no time, seek or duration events; poll for them
+      this.timeUpdateInterval = setInterval(() => this.poll(), 250);
+    }
+
+    poll() {
+      if (!this.ytPlayer || !this.ytPlayer.getCurrentTime) {
+        return;
+      }
+
+      const time = this.ytPlayer.getCurrentTime();
+      if (time !== this.currentTime) {
+        this.currentTime = time;
+        this.emit("timeupdate", time);
+        this.enforceClip(time);
+      }
+
+      if (this.pendingSeek !== null && Math.abs(time - this.pendingSeek) < 1) {
+        this.pendingSeek = null;
+        this.emit("seeked", time);
+      }
+
+      const duration = this.ytPlayer.getDuration();
+      if (duration && duration !== this.duration) {
+        this.duration = duration;
+        this.emit("durationchange", duration);
+      }
     }
 
     play() {
@@ -423,8 +1050,11 @@
     }
 
     setCurrentTime(time) {
+      time = this.clampToClip(time);
       super.setCurrentTime(time);
       if (this.ytPlayer && this.ytPlayer.seekTo) {
+        this.pendingSeek = time;
+        this.emit("seeking", time);
         this.ytPlayer.seekTo(time, true);
       }
     }
@@ -433,6 +1063,7 @@
       super.setVolume(volume);
       if (this.ytPlayer && this.ytPlayer.setVolume) {
         this.ytPlayer.setVolume(volume * 100);
+        this.emitVolumeChange();
       }
     }
 
@@ -444,7 +1075,30 @@
         } else {
           this.ytPlayer.unMute();
         }
+        this.emitVolumeChange();
+      }
+    }
+
+    setPlaybackRate(rate) {
+      // YouTube only accepts the rates it lists; use the closest one
+      const rates = this.getAvailablePlaybackRates();
+      const closest = rates.reduce((best, candidate) =>
+        Math.abs(candidate - rate) < Math.abs(best - rate) ? candidate : best
+      );
+      super.setPlaybackRate(closest);
+      if (this.ytPlayer && this.ytPlayer.setPlaybackRate) {
+        this.ytPlayer.setPlaybackRate(closest);
+      }
+    }
+
+    getAvailablePlaybackRates() {
+      if (this.ytPlayer && this.ytPlayer.getAvailablePlaybackRates) {
+        const rates = this.ytPlayer.getAvailablePlaybackRates();
+        if (rates && rates.length) {
+          return rates;
+        }
       }
+      return super.getAvailablePlaybackRates();
     }
 
     getDuration() {
@@ -531,13 +1185,15 @@
     }
 
     createPlayer() {
-      const loopParam = this.options.loop ? "&loop=1" : "";
+      // Vimeo's own loop restarts at 0; clips loop through finishClip()
+      const loopParam = this.options.loop && !this.hasClip() ? "&loop=1" : "";
+      const startFragment = this.clipStart ? `#t=${this.clipStart}s` : "";
       const iframe = document.createElement("iframe");
       iframe.src = `https://player.vimeo.com/video/${this.source.id}?autoplay=${
-        this.options.autoplay ? 1 : 0
+        this.options.autoplay || this.options.playOnLoad ? 1 : 0
       }&muted=${
         this.options.muted ? 1 : 0
-      }&controls=0&api=1&player_id=vimeo-${Date.now()}${loopParam}`;
+      }&controls=0&api=1&player_id=vimeo-${Date.now()}${loopParam}${startFragment}`;
       iframe.allow = "autoplay; fullscreen; picture-in-picture";
       iframe.style.width = "100%";
       iframe.style.height = "100%";
@@ -549,8 +1205,12 @@
       this.vimeoPlayer.ready().then(() => {
         this.vimeoPlayer.getDuration().then((duration) => {
           this.duration = duration;
+          this.emit("durationchange", duration);
+          if (this.playbackRate !== 1) {
+            this.setPlaybackRate(this.playbackRate);
+          }
           this.emit("ready");
-          if (this.options.autoplay) {
+          if (this.options.autoplay || this.options.playOnLoad) {
             this.play();
           }
         });
@@ -567,23 +1227,64 @@
       });
 
       this.vimeoPlayer.on("ended", () => {
-        // If loop is enabled, restart the video
-        if (this.options.loop) {
-          this.vimeoPlayer.setCurrentTime(0);
-          this.play();
-        } else {
-          this.isPaused = true;
-          this.emit("ended");
+        // Vimeo pauses before `ended`, so `isPaused` can't tell whether
+        // enforceClip() already finished the clip
+        if (!this.clipFinished) {
+          this.finishClip();
         }
       });
 
       this.vimeoPlayer.on("timeupdate", (data) => {
         this.currentTime = data.seconds;
         this.emit("timeupdate", data.seconds);
+        this.enforceClip(data.seconds);
+      });
+
+      this.vimeoPlayer.on("seeking", (data) => {
+        this.emit("seeking", data.seconds);
+      });
+
+      this.vimeoPlayer.on("seeked", (data) => {
+        this.currentTime = data.seconds;
+        this.emit("seeked", data.seconds);
+      });
+
+      this.vimeoPlayer.on("bufferstart", () => {
+        this.emit("waiting");
+      });
+
+      this.vimeoPlayer.on("volumechange", (data) => {
+        // Muting is implemented as volume 0; keep the volume to restore
+        if (!this.isMuted) {
+          this.volume = data.volume;
+        }
+        this.emitVolumeChange();
+      });
+
+      this.vimeoPlayer.on("durationchange", (data) => {
+        this.duration = data.duration;
+        this.emit("durationchange", data.duration);
+      });
+
+      this.vimeoPlayer.on("playbackratechange", (data) => {
+        this.playbackRate = data.playbackRate;
+        this.emit("ratechange", data.playbackRate);
+      });
+
+      this.vimeoPlayer.on("enterpictureinpicture", () => {
+        this.setPictureInPicture(true);
+      });
+
+      this.vimeoPlayer.on("leavepictureinpicture", () => {
+        this.setPictureInPicture(false);
       });
 
       this.vimeoPlayer.on("error", (error) => {
-        this.emit("error", error);
+        const code =
+          error.name === "PrivacyError" || error.name === "PasswordError"
+            ? "not-allowed"
+            : "unknown";
+        this.emitError(code, error.message);
       });
 
       this.playerElement = iframe;
@@ -592,40 +1293,69 @@
     play() {
       super.play();
       if (this.vimeoPlayer) {
-        this.vimeoPlayer.play();
+        return this.vimeoPlayer.play();
       }
     }
 
     pause() {
       super.pause();
       if (this.vimeoPlayer) {
-        this.vimeoPlayer.pause();
+        return this.vimeoPlayer.pause();
       }
     }
 
     setCurrentTime(time) {
+      time = this.clampToClip(time);
       super.setCurrentTime(time);
       if (this.vimeoPlayer) {
-        this.vimeoPlayer.setCurrentTime(time);
+        return this.vimeoPlayer.setCurrentTime(time);
       }
     }
 
     setVolume(volume) {
       super.setVolume(volume);
       if (this.vimeoPlayer) {
-        this.vimeoPlayer.setVolume(volume);
+        return this.vimeoPlayer.setVolume(volume);
       }
     }
 
     setMuted(muted) {
       super.setMuted(muted);
       if (this.vimeoPlayer) {
-        if (muted) {
-          this.vimeoPlayer.setVolume(0);
-        } else {
-          this.vimeoPlayer.setVolume(this.volume);
-        }
+        return this.vimeoPlayer.setVolume(muted ? 0 : this.volume);
+      }
+    }
+
+    setPlaybackRate(rate) {
+      const previousRate = this.playbackRate;
+      super.setPlaybackRate(rate);
+      if (this.vimeoPlayer) {
+        this.vimeoPlayer.setPlaybackRate(rate).catch((error) => {
+          // Speed control depends on the video owner's Vimeo plan
+          this.playbackRate = previousRate;
+          // Let the speed menu go back to the rate that is still in effect
+          this.emit("ratechange", previousRate);
+          console.warn("Vimeo playback rate not supported:", error);
+        });
+      }
+    }
+
+    supportsPictureInPicture() {
+      return true;
+    }
+
+    enterPictureInPicture() {
+      if (this.vimeoPlayer) {
+        return this.vimeoPlayer.requestPictureInPicture();
+      }
+      return super.enterPictureInPicture();
+    }
+
+    exitPictureInPicture() {
+      if (this.vimeoPlayer && this.isPictureInPicture) {
+        return this.vimeoPlayer.exitPictureInPicture();
       }
+      return super.exitPictureInPicture();
     }
 
     getDuration() {
@@ -650,196 +1380,4006 @@
   }
 
   // ============================================================================
-  // HTML5 PLAYER
+  // MEDIA SOURCE STREAMING
   // ============================================================================
 
-  class HTML5Player extends BasePlayer {
-    constructor(container, source, options) {
-      super(container, source, options);
-      this.videoElement = null;
-      this.init();
+  const AUDIO_CODEC_PATTERN = /^(mp4a|ac-3|ec-3|opus|flac|vorbis)/i;
+
+  /**
+   * Split a combined CODECS string into its video and audio parts
+   */
+  function splitCodecs(codecs) {
+    const video = [];
+    const audio = [];
+    (codecs || "").split(",").forEach((codec) => {
+      codec = codec.trim();
+      if (!codec) return;
+      if (AUDIO_CODEC_PATTERN.test(codec)) {
+        audio.push(codec);
+      } else {
+        video.push(codec);
+      }
+    });
+    return { video: video.join(","), audio: audio.join(",") };
+  }
+
+  /**
+   * Get the end of the buffered range containing `time` (or `time` itself)
+   */
+  function getBufferedEnd(buffered, time) {
+    for (let i = 0; i < buffered.length; i++) {
+      if (buffered.start(i) <= time + 0.3 && buffered.end(i) >= time) {
+        return buffered.end(i);
+      }
     }
+    return time;
+  }
 
-    init() {
-      const video = document.createElement("video");
-      video.src = this.source.id;
-      video.preload = this.options.autoplay ? "auto" : "metadata";
-      video.style.width = "100%";
-      video.style.height = "100%";
-      video.style.objectFit = "cover";
-      video.muted = this.options.muted || false;
-      video.loop = this.options.loop || false;
-      video.autoplay = this.options.autoplay || false;
-      video.playsInline = true; // Required for autoplay on mobile
-      video.setAttribute("playsinline", "true"); // iOS Safari
-      video.controls = false;
-      this.container.appendChild(video);
+  /**
+   * Find the first segment that ends after `time`
+   */
+  function findSegment(segments, time) {
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment.start + segment.duration > time + 0.1) {
+        return segment;
+      }
+    }
+    return null;
+  }
 
-      // Handle autoplay
-      if (this.options.autoplay) {
-        // Try to play immediately
-        const playPromise = video.play();
-        if (playPromise !== undefined) {
-          playPromise.catch((error) => {
-            // Autoplay was prevented, try again after user interaction
-            console.warn("Autoplay prevented:", error);
-          });
-        }
+  /**
+   * Drives a <video> element through Media Source Extensions.
+   *
+   * Each stream gets its own SourceBuffer and is described as
+   * `{ renditions: [{ bandwidth, mimeType, codecs, load }] }`, where `load()`
+   * resolves to a segment index:
+   * `{ init, segments: [{ url, range, start, duration, sn }], live, refreshInterval }`.
+   * An optional `process([init, data], segment)` on the index turns the
+   * fetched buffers into what gets appended (decryption, transmuxing).
+   * The loader keeps `bufferAhead` seconds buffered and switches renditions
+   * based on measured throughput. Live indexes are loaded sequentially and
+   * refreshed every `refreshInterval` milliseconds.
+   */
+  class MediaSourceLoader {
+    constructor(video, options) {
+      this.video = video;
+      this.options = Object.assign({ bufferAhead: 30, onError: null }, options);
+      this.streams = [];
+      this.mediaSource = null;
+      this.objectURL = null;
+      this.bandwidth = 0;
+      this.destroyed = false;
+      this.refreshTimer = null;
+      this.handleTick = () => this.tick();
+      this.handleSeeking = () => {
+        this.streams.forEach((stream) => {
+          stream.lastSegment = null;
+        });
+        this.tick();
+      };
+    }
+
+    load(streams) {
+      const MediaSourceCtor = getMediaSource();
+      if (!MediaSourceCtor) {
+        this.fail("Media Source Extensions are not supported in this browser");
+        return;
       }
 
-      video.addEventListener("loadedmetadata", () => {
-        this.duration = video.duration;
-        this.emit("ready");
-        // Ensure autoplay after metadata is loaded
-        if (this.options.autoplay && video.paused) {
-          const playPromise = video.play();
-          if (playPromise !== undefined) {
-            playPromise.catch((error) => {
-              console.warn("Autoplay after metadata load prevented:", error);
-            });
+      const isSupported = (rendition) =>
+        !MediaSourceCtor.isTypeSupported ||
+        MediaSourceCtor.isTypeSupported(getRenditionType(rendition));
+
+      this.streams = streams.map((stream) => ({
+        renditions: stream.renditions
+          .filter(isSupported)
+          .sort((a, b) => (a.bandwidth || 0) - (b.bandwidth || 0)),
+        rendition: null,
+        index: null,
+        sourceBuffer: null,
+        needsInit: true,
+        loading: false,
+        done: false,
+        lastSegment: null,
+        nextSn: null,
+      }));
+
+      if (this.streams.some((stream) => stream.renditions.length === 0)) {
+        this.fail("None of the stream's codecs are supported by this browser");
+        return;
+      }
+
+      this.mediaSource = new MediaSourceCtor();
+      this.mediaSource.addEventListener("sourceopen", () => this.open(), {
+        once: true,
+      });
+      this.objectURL = URL.createObjectURL(this.mediaSource);
+      this.video.src = this.objectURL;
+      this.video.addEventListener("timeupdate", this.handleTick);
+      this.video.addEventListener("seeking", this.handleSeeking);
+    }
+
+    open() {
+      Promise.all(this.streams.map((stream) => this.selectRendition(stream, 0)))
+        .then(() => {
+          if (this.destroyed) return;
+          this.streams.forEach((stream) => {
+            stream.sourceBuffer = this.mediaSource.addSourceBuffer(
+              getRenditionType(stream.rendition)
+            );
+          });
+
+          const index = this.streams[0].index;
+          if (index.live) {
+            this.mediaSource.duration = Infinity;
+            this.scheduleRefresh(index.refreshInterval);
+          } else {
+            const last = index.segments[index.segments.length - 1];
+            this.mediaSource.duration = last ? last.start + last.duration : 0;
+          }
+          this.tick();
+        })
+        .catch((error) => this.fail(error));
+    }
+
+    selectRendition(stream, renditionIndex) {
+      const rendition = stream.renditions[renditionIndex];
+      if (rendition === stream.rendition) {
+        return Promise.resolve();
+      }
+      const indexPromise = rendition.index
+        ? Promise.resolve(rendition.index)
+        : rendition.load();
+      return indexPromise.then((index) => {
+        if (!index.live) {
+          rendition.index = index;
+        }
+        if (stream.sourceBuffer && stream.rendition) {
+          const previousType = getRenditionType(stream.rendition);
+          const nextType = getRenditionType(rendition);
+          if (previousType !== nextType) {
+            stream.sourceBuffer.changeType(nextType);
           }
         }
+        if (index.live && stream.nextSn === null) {
+          // Start a few segments behind the live edge
+          const start = index.segments[Math.max(0, index.segments.length - 3)];
+          stream.nextSn = start ? start.sn : 0;
+        }
+        stream.rendition = rendition;
+        stream.index = index;
+        stream.needsInit = true;
       });
+    }
 
-      video.addEventListener("canplay", () => {
-        // Try autoplay when video can start playing
-        if (this.options.autoplay && video.paused) {
-          const playPromise = video.play();
-          if (playPromise !== undefined) {
-            playPromise.catch((error) => {
-              console.warn("Autoplay after canplay prevented:", error);
-            });
+    tick() {
+      if (
+        this.destroyed ||
+        !this.mediaSource ||
+        this.mediaSource.readyState === "closed"
+      ) {
+        return;
+      }
+      this.streams.forEach((stream) => this.loadNext(stream));
+    }
+
+    loadNext(stream) {
+      if (
+        stream.loading ||
+        !stream.sourceBuffer ||
+        !stream.index ||
+        stream.sourceBuffer.updating
+      ) {
+        return;
+      }
+
+      const currentTime = this.video.currentTime;
+      const buffered = stream.sourceBuffer.buffered;
+      const live = stream.index.live;
+      const bufferedEnd = live
+        ? buffered.length
+          ? buffered.end(buffered.length - 1)
+          : currentTime
+        : getBufferedEnd(buffered, currentTime);
+      if (bufferedEnd - currentTime >= this.options.bufferAhead) {
+        return;
+      }
+
+      let segment;
+      if (live) {
+        segment = stream.index.segments.find((s) => s.sn >= stream.nextSn);
+      } else {
+        segment = findSegment(stream.index.segments, bufferedEnd);
+        if (
+          segment &&
+          stream.lastSegment &&
+          segment.sn <= stream.lastSegment.sn
+        ) {
+          // Buffered end fell short of what we already appended; move on
+          // rather than fetching the same segments again
+          const lastSn = stream.lastSegment.sn;
+          segment = stream.index.segments.find((s) => s.sn > lastSn) || null;
+        }
+      }
+
+      if (!segment) {
+        if (!live) {
+          stream.done = true;
+          this.maybeEndOfStream();
+        }
+        return;
+      }
+
+      stream.done = false;
+      stream.loading = true;
+      const started = Date.now();
+      const init = stream.needsInit ? stream.index.init : null;
+      const requests = [
+        init ? fetchBuffer(init.url, init.range) : null,
+        fetchBuffer(segment.url, segment.range),
+      ];
+
+      const process = stream.index.process;
+
+      Promise.all(requests)
+        .then((buffers) => {
+          if (this.destroyed) return;
+          this.measure(buffers[1], started);
+          return process ? process(buffers, segment) : buffers;
+        })
+        .then((buffers) => {
+          if (this.destroyed) return;
+          // Transmuxed segments come with an init segment every time
+          const appendInit =
+            stream.needsInit && buffers[0]
+              ? this.append(stream, buffers[0])
+              : Promise.resolve();
+          return appendInit.then(() => this.append(stream, buffers[1]));
+        })
+        .then(() => {
+          if (this.destroyed) return;
+          stream.needsInit = false;
+          stream.lastSegment = segment;
+          stream.nextSn = segment.sn + 1;
+          stream.loading = false;
+          if (live) {
+            this.jumpToBuffered(stream);
+          }
+          return this.adapt(stream);
+        })
+        .then(() => this.tick())
+        .catch((error) => {
+          stream.loading = false;
+          this.fail(error);
+        });
+    }
+
+    append(stream, buffer, retried) {
+      const sourceBuffer = stream.sourceBuffer;
+      return new Promise((resolve, reject) => {
+        const cleanup = () => {
+          sourceBuffer.removeEventListener("updateend", onUpdateEnd);
+          sourceBuffer.removeEventListener("error", onError);
+        };
+        const onUpdateEnd = () => {
+          cleanup();
+          resolve();
+        };
+        const onError = () => {
+          cleanup();
+          reject(
+            createPlaybackError("decode", "Failed to append media segment")
+          );
+        };
+        sourceBuffer.addEventListener("updateend", onUpdateEnd);
+        sourceBuffer.addEventListener("error", onError);
+        try {
+          sourceBuffer.appendBuffer(buffer);
+        } catch (error) {
+          cleanup();
+          if (error.name === "QuotaExceededError" && !retried) {
+            this.evict(stream)
+              .then(() => this.append(stream, buffer, true))
+              .then(resolve, reject);
+          } else {
+            reject(error);
           }
         }
       });
+    }
 
-      video.addEventListener("play", () => {
-        this.isPaused = false;
-        this.emit("play");
+    evict(stream) {
+      const sourceBuffer = stream.sourceBuffer;
+      const removeEnd = this.video.currentTime - 10;
+      if (!sourceBuffer.buffered.length || removeEnd <= 0) {
+        return Promise.reject(new Error("Media buffer is full"));
+      }
+      return new Promise((resolve) => {
+        sourceBuffer.addEventListener("updateend", () => resolve(), {
+          once: true,
+        });
+        sourceBuffer.remove(sourceBuffer.buffered.start(0), removeEnd);
       });
+    }
 
-      video.addEventListener("pause", () => {
-        this.isPaused = true;
-        this.emit("pause");
-      });
+    measure(buffer, started) {
+      const elapsed = (Date.now() - started) / 1000;
+      // Small or cached responses say nothing about the network
+      if (!buffer || buffer.byteLength < 16384 || elapsed <= 0) return;
+      const sample = (buffer.byteLength * 8) / elapsed;
+      this.bandwidth = this.bandwidth
+        ? this.bandwidth * 0.7 + sample * 0.3
+        : sample;
+    }
 
-      video.addEventListener("ended", () => {
-        // If loop is enabled, restart the video
-        if (this.options.loop) {
-          video.currentTime = 0;
-          video.play();
-        } else {
-          this.isPaused = true;
-          this.emit("ended");
+    adapt(stream) {
+      if (stream.renditions.length < 2 || !this.bandwidth) {
+        return Promise.resolve();
+      }
+      const canChangeType = !!stream.sourceBuffer.changeType;
+      const currentType = getRenditionType(stream.rendition);
+      let target = 0;
+      stream.renditions.forEach((rendition, i) => {
+        if (
+          (rendition.bandwidth || 0) <= this.bandwidth * 0.8 &&
+          (canChangeType || getRenditionType(rendition) === currentType)
+        ) {
+          target = i;
         }
       });
+      return this.selectRendition(stream, target);
+    }
 
-      video.addEventListener("timeupdate", () => {
-        this.currentTime = video.currentTime;
-        this.emit("timeupdate", video.currentTime);
-      });
+    jumpToBuffered(stream) {
+      const buffered = stream.sourceBuffer.buffered;
+      if (buffered.length && this.video.currentTime < buffered.start(0)) {
+        this.video.currentTime = buffered.start(0);
+      }
+    }
 
-      video.addEventListener("volumechange", () => {
-        this.volume = video.volume;
-        this.isMuted = video.muted;
+    maybeEndOfStream() {
+      if (
+        this.mediaSource.readyState === "open" &&
+        this.streams.every(
+          (stream) => stream.done && !stream.sourceBuffer.updating
+        )
+      ) {
+        this.mediaSource.endOfStream();
+      }
+    }
+
+    scheduleRefresh(interval) {
+      this.refreshTimer = setTimeout(() => {
+        Promise.all(
+          this.streams.map((stream) =>
+            stream.rendition.load().then((index) => {
+              stream.index = index;
+            })
+          )
+        )
+          .then(() => {
+            if (this.destroyed) return;
+            this.tick();
+            if (this.streams[0].index.live) {
+              this.scheduleRefresh(this.streams[0].index.refreshInterval);
+            } else {
+              // The live stream ended; its index is complete from here on
+              this.mediaSource.duration = this.video.duration;
+            }
+          })
+          .catch((error) => this.fail(error));
+      }, interval || 6000);
+    }
+
+    fail(error) {
+      if (this.destroyed) return;
+      this.destroy();
+      if (this.options.onError) {
+        this.options.onError(
+          error instanceof Error
+            ? error
+            : createPlaybackError("not-supported", error)
+        );
+      }
+    }
+
+    destroy() {
+      this.destroyed = true;
+      if (this.refreshTimer) {
+        clearTimeout(this.refreshTimer);
+      }
+      this.video.removeEventListener("timeupdate", this.handleTick);
+      this.video.removeEventListener("seeking", this.handleSeeking);
+      if (this.objectURL) {
+        URL.revokeObjectURL(this.objectURL);
+        this.objectURL = null;
+      }
+    }
+  }
+
+  /**
+   * Build the SourceBuffer type string for a rendition
+   */
+  function getRenditionType(rendition) {
+    return `${rendition.mimeType}; codecs="${rendition.codecs}"`;
+  }
+
+  // ============================================================================
+  // MPEG-TS TRANSMUXER
+  // ============================================================================
+
+  const TS_PACKET_SIZE = 188;
+  const TS_SYNC_BYTE = 0x47;
+  const TS_CLOCK = 90000; // PES timestamps tick at 90kHz
+  const TS_STREAM_TYPE_H264 = 0x1b;
+  const TS_STREAM_TYPE_AAC = 0x0f;
+
+  // H.264 profiles whose SPS carries chroma format and scaling lists
+  const H264_HIGH_PROFILES = [
+    100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135,
+  ];
+  const H264_NAL_IDR = 5;
+  const H264_NAL_SPS = 7;
+  const H264_NAL_PPS = 8;
+  const H264_NAL_AUD = 9;
+
+  const AAC_SAMPLE_RATES = [
+    96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+    8000, 7350,
+  ];
+  const AAC_FRAME_SAMPLES = 1024;
+
+  // fMP4 sample flags
+  const SAMPLE_FLAGS_SYNC = 0x02000000;
+  const SAMPLE_FLAGS_NON_SYNC = 0x01010000;
+
+  function concatBytes(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach((part) => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  }
+
+  function uint16(value) {
+    return [(value >>> 8) & 0xff, value & 0xff];
+  }
+
+  function uint32(value) {
+    return [
+      (value >>> 24) & 0xff,
+      (value >>> 16) & 0xff,
+      (value >>> 8) & 0xff,
+      value & 0xff,
+    ];
+  }
+
+  function ascii(text) {
+    return Array.prototype.map.call(text, (char) => char.charCodeAt(0));
+  }
+
+  function isTransportStream(bytes) {
+    return (
+      bytes.length >= TS_PACKET_SIZE &&
+      bytes[0] === TS_SYNC_BYTE &&
+      (bytes.length < TS_PACKET_SIZE * 2 ||
+        bytes[TS_PACKET_SIZE] === TS_SYNC_BYTE)
+    );
+  }
+
+  /**
+   * Read a 33-bit PES timestamp (PTS or DTS) starting at `offset`
+   */
+  function readPESTimestamp(data, offset) {
+    // Multiplication instead of shifts: the value doesn't fit in 32 bits
+    return (
+      (data[offset] & 0x0e) * 536870912 +
+      data[offset + 1] * 4194304 +
+      (data[offset + 2] & 0xfe) * 16384 +
+      data[offset + 3] * 128 +
+      (data[offset + 4] >> 1)
+    );
+  }
+
+  /**
+   * Find the PMT PID in a program association table
+   */
+  function parsePAT(payload) {
+    const table = payload.subarray(payload[0] + 1);
+    const end = 3 + (((table[1] & 0x0f) << 8) | table[2]) - 4;
+    for (let i = 8; i + 3 < end; i += 4) {
+      const program = (table[i] << 8) | table[i + 1];
+      if (program !== 0) {
+        return ((table[i + 2] & 0x1f) << 8) | table[i + 3];
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the H.264 and AAC elementary stream PIDs in a program map table
+   */
+  function parsePMT(payload) {
+    const table = payload.subarray(payload[0] + 1);
+    const end = 3 + (((table[1] & 0x0f) << 8) | table[2]) - 4;
+    const pids = { video: -1, audio: -1 };
+    let i = 12 + (((table[10] & 0x0f) << 8) | table[11]);
+    while (i + 4 < end) {
+      const pid = ((table[i + 1] & 0x1f) << 8) | table[i + 2];
+      if (table[i] === TS_STREAM_TYPE_H264 && pids.video === -1) {
+        pids.video = pid;
+      } else if (table[i] === TS_STREAM_TYPE_AAC && pids.audio === -1) {
+        pids.audio = pid;
+      }
+      i += 5 + (((table[i + 3] & 0x0f) << 8) | table[i + 4]);
+    }
+    return pids;
+  }
+
+  /**
+   * Split a PES packet into its timestamps and payload
+   */
+  function parsePES(data) {
+    if (data[0] !== 0 || data[1] !== 0 || data[2] !== 1) {
+      return null;
+    }
+    const timestamps = data[7] >> 6;
+    if (!(timestamps & 2)) {
+      return null;
+    }
+    const pts = readPESTimestamp(data, 9);
+    return {
+      pts,
+      dts: timestamps === 3 ? readPESTimestamp(data, 14) : pts,
+      data: data.subarray(9 + data[8]),
+    };
+  }
+
+  /**
+   * Collect the video and audio PES packets of a transport stream
+   */
+  function demuxTransportStream(bytes) {
+    const pids = { pmt: -1, video: -1, audio: -1 };
+    const pending = { video: null, audio: null };
+    const packets = { video: [], audio: [] };
+    const flush = (kind) => {
+      if (!pending[kind]) return;
+      const pes = parsePES(concatBytes(pending[kind]));
+      pending[kind] = null;
+      if (pes) {
+        packets[kind].push(pes);
+      }
+    };
+
+    for (let start = 0; start + TS_PACKET_SIZE <= bytes.length; ) {
+      if (bytes[start] !== TS_SYNC_BYTE) {
+        throw createPlaybackError("decode", "Invalid MPEG-TS segment");
+      }
+      const end = start + TS_PACKET_SIZE;
+      const pid = ((bytes[start + 1] & 0x1f) << 8) | bytes[start + 2];
+      const unitStart = (bytes[start + 1] & 0x40) !== 0;
+      const adaptation = (bytes[start + 3] >> 4) & 3;
+      let offset = start + 4;
+      if (adaptation & 2) {
+        offset += bytes[offset] + 1;
+      }
+      const payload = adaptation & 1 ? bytes.subarray(offset, end) : null;
+      start = end;
+      if (!payload || !payload.length) continue;
+
+      if (pid === 0) {
+        if (unitStart) pids.pmt = parsePAT(payload);
+      } else if (pid === pids.pmt) {
+        if (unitStart) Object.assign(pids, parsePMT(payload));
+      } else if (pid === pids.video || pid === pids.audio) {
+        const kind = pid === pids.video ? "video" : "audio";
+        if (unitStart) {
+          flush(kind);
+          pending[kind] = [];
+        }
+        // Data before the first unit start belongs to the last segment
+        if (pending[kind]) {
+          pending[kind].push(payload);
+        }
+      }
+    }
+    flush("video");
+    flush("audio");
+    return packets;
+  }
+
+  /**
+   * Split Annex B H.264 data at its start codes into NAL units
+   */
+  function splitNALUnits(data) {
+    const units = [];
+    let start = -1;
+    for (let i = 0; i + 2 < data.length; ) {
+      if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+        if (start !== -1) {
+          units.push(trimNALUnit(data, start, i));
+        }
+        i += 3;
+        start = i;
+      } else {
+        i++;
+      }
+    }
+    if (start !== -1) {
+      units.push(trimNALUnit(data, start, data.length));
+    }
+    return units.filter((unit) => unit.length);
+  }
+
+  // Trailing zeros are padding or the first byte of a 4-byte start code
+  function trimNALUnit(data, start, end) {
+    while (end > start && data[end - 1] === 0) {
+      end--;
+    }
+    return data.subarray(start, end);
+  }
+
+  function removeEmulationPrevention(data) {
+    const bytes = [];
+    for (let i = 0; i < data.length; i++) {
+      if (i >= 2 && data[i] === 3 && data[i - 1] === 0 && data[i - 2] === 0) {
+        continue;
+      }
+      bytes.push(data[i]);
+    }
+    return bytes;
+  }
+
+  /**
+   * Read bits and Exp-Golomb codes from a byte array
+   */
+  function createBitReader(bytes) {
+    let position = 0;
+    const readBit = () => {
+      const bit = ((bytes[position >> 3] || 0) >> (7 - (position & 7))) & 1;
+      position++;
+      return bit;
+    };
+    const readBits = (count) => {
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        value = value * 2 + readBit();
+      }
+      return value;
+    };
+    const readUE = () => {
+      let zeros = 0;
+      while (zeros < 32 && readBit() === 0) {
+        zeros++;
+      }
+      return Math.pow(2, zeros) - 1 + readBits(zeros);
+    };
+    const readSE = () => {
+      const value = readUE();
+      return value & 1 ? (value + 1) / 2 : -value / 2;
+    };
+    return { readBit, readBits, readUE, readSE };
+  }
+
+  /**
+   * Get the picture size from an H.264 sequence parameter set
+   */
+  function parseSPS(nal) {
+    const reader = createBitReader(removeEmulationPrevention(nal));
+    reader.readBits(8); // NAL header
+    const profile = reader.readBits(8);
+    reader.readBits(16); // Constraint flags, level
+    reader.readUE(); // seq_parameter_set_id
+
+    let chromaFormat = 1;
+    if (H264_HIGH_PROFILES.indexOf(profile) !== -1) {
+      chromaFormat = reader.readUE();
+      if (chromaFormat === 3) reader.readBit();
+      reader.readUE(); // Luma bit depth
+      reader.readUE(); // Chroma bit depth
+      reader.readBit();
+      if (reader.readBit()) {
+        const lists = chromaFormat === 3 ? 12 : 8;
+        for (let i = 0; i < lists; i++) {
+          if (reader.readBit()) {
+            skipScalingList(reader, i < 6 ? 16 : 64);
+          }
+        }
+      }
+    }
+
+    reader.readUE(); // log2_max_frame_num_minus4
+    const pocType = reader.readUE();
+    if (pocType === 0) {
+      reader.readUE();
+    } else if (pocType === 1) {
+      reader.readBit();
+      reader.readSE();
+      reader.readSE();
+      const cycle = reader.readUE();
+      for (let i = 0; i < cycle; i++) {
+        reader.readSE();
+      }
+    }
+    reader.readUE(); // max_num_ref_frames
+    reader.readBit();
+    const widthInMbs = reader.readUE() + 1;
+    const heightInMapUnits = reader.readUE() + 1;
+    const frameMbsOnly = reader.readBit();
+    if (!frameMbsOnly) reader.readBit();
+    reader.readBit(); // direct_8x8_inference_flag
+    let crop = [0, 0, 0, 0];
+    if (reader.readBit()) {
+      crop = [
+        reader.readUE(),
+        reader.readUE(),
+        reader.readUE(),
+        reader.readUE(),
+      ];
+    }
+
+    const cropUnitX = chromaFormat === 1 || chromaFormat === 2 ? 2 : 1;
+    const cropUnitY = (chromaFormat === 1 ? 2 : 1) * (2 - frameMbsOnly);
+    return {
+      width: widthInMbs * 16 - (crop[0] + crop[1]) * cropUnitX,
+      height:
+        (2 - frameMbsOnly) * heightInMapUnits * 16 -
+        (crop[2] + crop[3]) * cropUnitY,
+    };
+  }
+
+  function skipScalingList(reader, size) {
+    let last = 8;
+    let next = 8;
+    for (let i = 0; i < size; i++) {
+      if (next !== 0) {
+        next = (last + reader.readSE() + 256) % 256;
+      }
+      last = next === 0 ? last : next;
+    }
+  }
+
+  function toHex(byte) {
+    return ("0" + byte.toString(16)).slice(-2).toUpperCase();
+  }
+
+  /**
+   * Turn video PES packets into length-prefixed samples, picking up the
+   * track's parameter sets on the way
+   */
+  function getVideoSamples(packets, track) {
+    const samples = [];
+    packets.forEach((pes) => {
+      let keyframe = false;
+      const units = splitNALUnits(pes.data).filter((unit) => {
+        const type = unit[0] & 0x1f;
+        if (type === H264_NAL_SPS && !track.sps) {
+          track.sps = unit;
+          Object.assign(track, parseSPS(unit));
+          track.codec = "avc1." + [1, 2, 3].map((i) => toHex(unit[i])).join("");
+        } else if (type === H264_NAL_PPS && !track.pps) {
+          track.pps = unit;
+        } else if (type === H264_NAL_IDR) {
+          keyframe = true;
+        }
+        return type !== H264_NAL_AUD;
+      });
+      if (!units.length) return;
+      samples.push({
+        dts: pes.dts,
+        pts: pes.pts,
+        keyframe,
+        data: concatBytes(
+          units.map((unit) => concatBytes([uint32(unit.length), unit]))
+        ),
+      });
+    });
+    return samples;
+  }
+
+  /**
+   * Turn audio PES packets into raw AAC frames, reading the track's
+   * configuration from the first ADTS header
+   */
+  function getAudioSamples(packets, track) {
+    const samples = [];
+    packets.forEach((pes) => {
+      const data = pes.data;
+      let offset = 0;
+      let frame = 0;
+      while (offset + 7 <= data.length) {
+        if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) {
+          offset++;
+          continue;
+        }
+        const headerLength = data[offset + 1] & 1 ? 7 : 9;
+        const frameLength =
+          ((data[offset + 3] & 3) << 11) |
+          (data[offset + 4] << 3) |
+          (data[offset + 5] >> 5);
+        if (frameLength <= headerLength || offset + frameLength > data.length) {
+          break;
+        }
+        if (!track.config) {
+          const objectType = (data[offset + 2] >> 6) + 1;
+          const rateIndex = (data[offset + 2] >> 2) & 0x0f;
+          const channels =
+            ((data[offset + 2] & 1) << 2) | (data[offset + 3] >> 6);
+          track.timescale = AAC_SAMPLE_RATES[rateIndex] || 44100;
+          track.channels = channels;
+          track.codec = "mp4a.40." + objectType;
+          track.config = [
+            (objectType << 3) | (rateIndex >> 1),
+            ((rateIndex & 1) << 7) | (channels << 3),
+          ];
+        }
+        samples.push({
+          pts:
+            pes.pts + (frame * AAC_FRAME_SAMPLES * TS_CLOCK) / track.timescale,
+          data: data.subarray(offset + headerLength, offset + frameLength),
+        });
+        frame++;
+        offset += frameLength;
+      }
+    });
+    return samples;
+  }
+
+  function mp4Box(type, ...children) {
+    const payload = concatBytes(
+      children.map((child) =>
+        child instanceof Uint8Array ? child : new Uint8Array(child)
+      )
+    );
+    return concatBytes([
+      new Uint8Array(uint32(payload.length + 8).concat(ascii(type))),
+      payload,
+    ]);
+  }
+
+  const MP4_MATRIX = [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000];
+
+  function createSampleEntry(track) {
+    if (track.kind === "video") {
+      return mp4Box(
+        "avc1",
+        [0, 0, 0, 0, 0, 0, 0, 1], // Reserved, data_reference_index
+        new Array(16).fill(0),
+        uint16(track.width),
+        uint16(track.height),
+        uint32(0x480000), // 72dpi
+        uint32(0x480000),
+        uint32(0),
+        uint16(1), // frame_count
+        new Array(32).fill(0), // compressorname
+        uint16(0x18),
+        uint16(0xffff),
+        mp4Box(
+          "avcC",
+          [1, track.sps[1], track.sps[2], track.sps[3], 0xff, 0xe1],
+          uint16(track.sps.length),
+          track.sps,
+          [1],
+          uint16(track.pps.length),
+          track.pps
+        )
+      );
+    }
+    return mp4Box(
+      "mp4a",
+      [0, 0, 0, 0, 0, 0, 0, 1],
+      new Array(8).fill(0),
+      uint16(track.channels),
+      uint16(16),
+      uint32(0),
+      uint16(track.timescale & 0xffff),
+      uint16(0),
+      mp4Box(
+        "esds",
+        uint32(0),
+        [0x03, 25, 0, track.id, 0], // ES_Descriptor
+        [0x04, 17, 0x40, 0x15, 0, 0, 0], // DecoderConfigDescriptor (AAC)
+        uint32(0),
+        uint32(0),
+        [0x05, 2],
+        track.config,
+        [0x06, 1, 2] // SLConfigDescriptor
+      )
+    );
+  }
+
+  function createTrak(track) {
+    const video = track.kind === "video";
+    return mp4Box(
+      "trak",
+      mp4Box(
+        "tkhd",
+        uint32(3), // Enabled, in movie
+        uint32(0),
+        uint32(0),
+        uint32(track.id),
+        uint32(0),
+        uint32(0), // Duration; fragments carry the samples
+        new Array(8).fill(0),
+        uint16(0),
+        uint16(0),
+        uint16(video ? 0 : 0x100),
+        uint16(0),
+        [].concat(...MP4_MATRIX.map(uint32)),
+        uint32(video ? track.width * 0x10000 : 0),
+        uint32(video ? track.height * 0x10000 : 0)
+      ),
+      mp4Box(
+        "mdia",
+        mp4Box(
+          "mdhd",
+          uint32(0),
+          uint32(0),
+          uint32(0),
+          uint32(track.timescale),
+          uint32(0),
+          uint16(0x55c4), // "und"
+          uint16(0)
+        ),
+        mp4Box(
+          "hdlr",
+          uint32(0),
+          uint32(0),
+          ascii(video ? "vide" : "soun"),
+          new Array(12).fill(0),
+          ascii(video ? "VideoHandler" : "SoundHandler"),
+          [0]
+        ),
+        mp4Box(
+          "minf",
+          video
+            ? mp4Box("vmhd", uint32(1), new Array(8).fill(0))
+            : mp4Box("smhd", uint32(0), uint32(0)),
+          mp4Box(
+            "dinf",
+            mp4Box("dref", uint32(0), uint32(1), mp4Box("url ", uint32(1)))
+          ),
+          mp4Box(
+            "stbl",
+            mp4Box("stsd", uint32(0), uint32(1), createSampleEntry(track)),
+            mp4Box("stts", uint32(0), uint32(0)),
+            mp4Box("stsc", uint32(0), uint32(0)),
+            mp4Box("stsz", uint32(0), uint32(0), uint32(0)),
+            mp4Box("stco", uint32(0), uint32(0))
+          )
+        )
+      )
+    );
+  }
+
+  function createInitSegment(tracks) {
+    return concatBytes([
+      mp4Box("ftyp", ascii("isom"), uint32(1), ascii("isomiso6avc1mp41")),
+      mp4Box(
+        "moov",
+        mp4Box(
+          "mvhd",
+          uint32(0),
+          uint32(0),
+          uint32(0),
+          uint32(1000),
+          uint32(0),
+          uint32(0x10000), // Rate 1.0
+          uint16(0x100), // Volume 1.0
+          new Array(10).fill(0),
+          [].concat(...MP4_MATRIX.map(uint32)),
+          new Array(24).fill(0),
+          uint32(tracks.length + 1)
+        ),
+        ...tracks.map(createTrak),
+        mp4Box(
+          "mvex",
+          ...tracks.map((track) =>
+            mp4Box(
+              "trex",
+              uint32(0),
+              uint32(track.id),
+              uint32(1),
+              uint32(0),
+              uint32(0),
+              uint32(0)
+            )
+          )
+        )
+      ),
+    ]);
+  }
+
+  function createTraf(fragment, dataOffset) {
+    const baseTime = fragment.baseTime;
+    return mp4Box(
+      "traf",
+      mp4Box("tfhd", uint32(0x20000), uint32(fragment.track.id)), // default-base-is-moof
+      mp4Box(
+        "tfdt",
+        uint32(0x1000000), // Version 1: 64-bit time
+        uint32(Math.floor(baseTime / 0x100000000)),
+        uint32(baseTime % 0x100000000)
+      ),
+      mp4Box(
+        "trun",
+        uint32(0xf01), // Data offset, duration, size, flags, composition offset
+        uint32(fragment.samples.length),
+        uint32(dataOffset),
+        [].concat(
+          ...fragment.samples.map((sample) =>
+            [].concat(
+              uint32(sample.duration),
+              uint32(sample.size),
+              uint32(sample.flags),
+              uint32(sample.cts)
+            )
+          )
+        )
+      )
+    );
+  }
+
+  function createMediaSegment(sequence, fragments) {
+    const createMoof = (offsets) =>
+      mp4Box(
+        "moof",
+        mp4Box("mfhd", uint32(0), uint32(sequence)),
+        ...fragments.map((fragment, i) => createTraf(fragment, offsets[i]))
+      );
+    // Sample data offsets count from the start of the moof box
+    let offset = createMoof(fragments.map(() => 0)).length + 8;
+    const offsets = fragments.map((fragment) => {
+      const start = offset;
+      offset += fragment.data.length;
+      return start;
+    });
+    return concatBytes([
+      createMoof(offsets),
+      mp4Box("mdat", ...fragments.map((fragment) => fragment.data)),
+    ]);
+  }
+
+  /**
+   * Repackages MPEG-TS segments (H.264 video and AAC audio) as fragmented
+   * MP4 for Media Source Extensions. One instance follows one rendition:
+   * timestamps stay continuous across its segments, placed so the first
+   * segment transmuxed starts at its playlist time.
+   */
+  class TSTransmuxer {
+    constructor() {
+      this.video = {
+        kind: "video",
+        id: 1,
+        timescale: TS_CLOCK,
+        sps: null,
+        pps: null,
+      };
+      this.audio = { kind: "audio", id: 2, timescale: 0, config: null };
+      this.offset = null;
+      this.sequence = 0;
+    }
+
+    /**
+     * Transmux one segment. Resolves the init segment for the tracks found
+     * and the media segment, as `{ init, data }`.
+     * @param {Uint8Array} bytes
+     * @param {number} start - The segment's playlist time, in seconds
+     * @returns {{init: Uint8Array, data: Uint8Array}}
+     */
+    transmux(bytes, start) {
+      if (!isTransportStream(bytes)) {
+        throw createPlaybackError(
+          "not-supported",
+          "HLS segments must be MPEG-TS or fragmented MP4 without native HLS support"
+        );
+      }
+      const packets = demuxTransportStream(bytes);
+      const videoSamples = getVideoSamples(packets.video, this.video);
+      const audioSamples = getAudioSamples(packets.audio, this.audio);
+      const hasVideo = !!(
+        videoSamples.length &&
+        this.video.sps &&
+        this.video.pps
+      );
+      const hasAudio = !!(audioSamples.length && this.audio.config);
+      if (!hasVideo && !hasAudio) {
+        throw createPlaybackError("decode", "No H.264 or AAC data in segment");
+      }
+
+      if (this.offset === null) {
+        const first = Math.min(
+          hasVideo ? videoSamples[0].dts : Infinity,
+          hasAudio ? audioSamples[0].pts : Infinity
+        );
+        this.offset = start * TS_CLOCK - first;
+      }
+
+      const fragments = [];
+      if (hasVideo) {
+        fragments.push(this.createVideoFragment(videoSamples));
+      }
+      if (hasAudio) {
+        fragments.push(this.createAudioFragment(audioSamples));
+      }
+      const tracks = fragments.map((fragment) => fragment.track);
+      this.sequence++;
+      return {
+        init: createInitSegment(tracks),
+        data: createMediaSegment(this.sequence, fragments),
+      };
+    }
+
+    createVideoFragment(samples) {
+      let lastDuration = Math.round(TS_CLOCK / 30);
+      return {
+        track: this.video,
+        baseTime: Math.max(0, Math.round(samples[0].dts + this.offset)),
+        data: concatBytes(samples.map((sample) => sample.data)),
+        samples: samples.map((sample, i) => {
+          const next = samples[i + 1];
+          if (next) {
+            lastDuration = Math.max(0, Math.round(next.dts - sample.dts));
+          }
+          return {
+            duration: lastDuration,
+            size: sample.data.length,
+            flags: sample.keyframe ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC,
+            cts: Math.max(0, Math.round(sample.pts - sample.dts)),
+          };
+        }),
+      };
+    }
+
+    createAudioFragment(samples) {
+      const timescale = this.audio.timescale;
+      return {
+        track: this.audio,
+        baseTime: Math.max(
+          0,
+          Math.round(((samples[0].pts + this.offset) * timescale) / TS_CLOCK)
+        ),
+        data: concatBytes(samples.map((sample) => sample.data)),
+        samples: samples.map((sample) => ({
+          duration: AAC_FRAME_SAMPLES,
+          size: sample.data.length,
+          flags: SAMPLE_FLAGS_SYNC,
+          cts: 0,
+        })),
+      };
+    }
+  }
+
+  // ============================================================================
+  // HLS (HTTP LIVE STREAMING)
+  // ============================================================================
+
+  const HLS_DEFAULT_CODECS = "avc1.42E01E,mp4a.40.2";
+
+  /**
+   * Parse an HLS attribute list (KEY=value,KEY="quoted, value")
+   */
+  function parseAttributeList(text) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      attributes[match[1]] = match[2].replace(/^"|"$/g, "");
+    }
+    return attributes;
+  }
+
+  /**
+   * Parse an HLS byte range ("length[@offset]")
+   */
+  function parseByteRange(value, previous) {
+    const parts = value.split("@");
+    const length = parseInt(parts[0], 10);
+    let start = 0;
+    if (parts[1] !== undefined) {
+      start = parseInt(parts[1], 10);
+    } else if (previous) {
+      start = previous.start + previous.length;
+    }
+    return { start, length };
+  }
+
+  /**
+   * Parse an AES-128 initialization vector ("0x" followed by 32 hex digits)
+   */
+  function parseIV(value) {
+    const hex = value.replace(/^0x/i, "").padStart(32, "0");
+    const iv = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+      iv[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return iv;
+  }
+
+  /**
+   * Parse an M3U8 playlist into a master or media playlist description
+   */
+  function parseM3U8(text, baseUrl) {
+    const lines = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+    if (lines[0] !== "#EXTM3U") {
+      throw createPlaybackError("decode", "Invalid HLS playlist");
+    }
+
+    const playlist = {
+      master: false,
+      variants: [],
+      media: [],
+      segments: [],
+      init: null,
+      targetDuration: 0,
+      mediaSequence: 0,
+      endList: false,
+      encrypted: false,
+    };
+
+    let variant = null;
+    let duration = 0;
+    let range = null;
+    let lastRange = null;
+    let lastUrl = null;
+    let key = null;
+    let time = 0;
+
+    lines.forEach((line) => {
+      if (line.startsWith("#EXT-X-STREAM-INF:")) {
+        const attributes = parseAttributeList(line.slice(18));
+        playlist.master = true;
+        variant = {
+          bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+          codecs: attributes.CODECS || "",
+          resolution: attributes.RESOLUTION || null,
+          audio: attributes.AUDIO || null,
+        };
+      } else if (line.startsWith("#EXT-X-MEDIA:")) {
+        const attributes = parseAttributeList(line.slice(13));
+        playlist.master = true;
+        playlist.media.push({
+          type: attributes.TYPE,
+          groupId: attributes["GROUP-ID"],
+          name: attributes.NAME || "",
+          language: attributes.LANGUAGE || null,
+          default: attributes.DEFAULT === "YES",
+          url: attributes.URI ? resolveURL(attributes.URI, baseUrl) : null,
+        });
+      } else if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+        playlist.targetDuration = parseFloat(line.slice(22));
+      } else if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+        playlist.mediaSequence = parseInt(line.slice(22), 10);
+      } else if (line.startsWith("#EXT-X-ENDLIST")) {
+        playlist.endList = true;
+      } else if (line.startsWith("#EXT-X-KEY:")) {
+        const attributes = parseAttributeList(line.slice(11));
+        key = null;
+        if (attributes.METHOD === "AES-128") {
+          key = {
+            url: resolveURL(attributes.URI, baseUrl),
+            iv: attributes.IV ? parseIV(attributes.IV) : null,
+          };
+        } else if (attributes.METHOD && attributes.METHOD !== "NONE") {
+          // Sample encryption is left to native HLS support
+          playlist.encrypted = true;
+        }
+      } else if (line.startsWith("#EXT-X-MAP:")) {
+        const attributes = parseAttributeList(line.slice(11));
+        playlist.init = {
+          url: resolveURL(attributes.URI, baseUrl),
+          range: attributes.BYTERANGE
+            ? parseByteRange(attributes.BYTERANGE, null)
+            : null,
+          key,
+        };
+      } else if (line.startsWith("#EXTINF:")) {
+        duration = parseFloat(line.slice(8));
+      } else if (line.startsWith("#EXT-X-BYTERANGE:")) {
+        range = line.slice(17);
+      } else if (!line.startsWith("#")) {
+        const url = resolveURL(line, baseUrl);
+        if (variant) {
+          variant.url = url;
+          playlist.variants.push(variant);
+          variant = null;
+          return;
+        }
+        const segmentRange = range
+          ? parseByteRange(range, url === lastUrl ? lastRange : null)
+          : null;
+        playlist.segments.push({
+          url,
+          range: segmentRange,
+          start: time,
+          duration,
+          sn: playlist.mediaSequence + playlist.segments.length,
+          key,
+        });
+        time += duration;
+        lastUrl = url;
+        lastRange = segmentRange;
+        duration = 0;
+        range = null;
+      }
+    });
+
+    return playlist;
+  }
+
+  /**
+   * Decrypt an AES-128 encrypted segment. Without an IV attribute the
+   * segment's media sequence number is the IV.
+   * @param {Map} keys - Imported keys by URL, shared by a rendition's segments
+   */
+  function decryptHLSSegment(buffer, key, sn, keys) {
+    const subtle = window && window.crypto && window.crypto.subtle;
+    if (!subtle) {
+      return Promise.reject(
+        createPlaybackError(
+          "not-supported",
+          "Encrypted HLS streams require Web Crypto (a secure context)"
+        )
+      );
+    }
+    if (!keys.has(key.url)) {
+      keys.set(
+        key.url,
+        fetchBuffer(key.url).then((raw) =>
+          subtle.importKey("raw", raw, { name: "AES-CBC" }, false, ["decrypt"])
+        )
+      );
+    }
+    const iv =
+      key.iv || new Uint8Array(new Array(12).fill(0).concat(uint32(sn)));
+    return keys
+      .get(key.url)
+      .then((cryptoKey) =>
+        subtle.decrypt({ name: "AES-CBC", iv }, cryptoKey, buffer)
+      );
+  }
+
+  /**
+   * Convert a parsed media playlist into a MediaSourceLoader segment index.
+   * Encrypted segments are decrypted and MPEG-TS segments (no EXT-X-MAP)
+   * transmuxed to fragmented MP4 by the index's `process` step.
+   */
+  function toHLSSegmentIndex(playlist, transmuxer, keys) {
+    if (playlist.encrypted) {
+      throw createPlaybackError(
+        "not-supported",
+        "SAMPLE-AES encrypted HLS streams require native HLS support"
+      );
+    }
+    const init = playlist.init;
+    const encrypted = playlist.segments.some((segment) => segment.key);
+    const decrypt = (buffer, key, sn) =>
+      buffer && key ? decryptHLSSegment(buffer, key, sn, keys) : buffer;
+
+    return {
+      init,
+      segments: playlist.segments,
+      live: !playlist.endList,
+      refreshInterval: (playlist.targetDuration || 6) * 1000,
+      process:
+        init && !init.key && !encrypted
+          ? null
+          : (buffers, segment) =>
+              Promise.all([
+                decrypt(buffers[0], init && init.key, 0),
+                decrypt(buffers[1], segment.key, segment.sn),
+              ]).then((decrypted) => {
+                if (init) {
+                  return decrypted;
+                }
+                const result = transmuxer.transmux(
+                  new Uint8Array(decrypted[1]),
+                  segment.start
+                );
+                return [result.init, result.data];
+              }),
+    };
+  }
+
+  /**
+   * Create a MediaSourceLoader rendition for an HLS media playlist
+   */
+  function createHLSRendition(url, mimeType, codecs, bandwidth, playlist) {
+    let preloaded = playlist || null;
+    const transmuxer = new TSTransmuxer();
+    const keys = new Map();
+    return {
+      bandwidth,
+      mimeType,
+      codecs,
+      load() {
+        const loaded = preloaded
+          ? Promise.resolve(preloaded)
+          : fetchText(url).then((text) => parseM3U8(text, url));
+        preloaded = null;
+        return loaded.then((media) =>
+          toHLSSegmentIndex(media, transmuxer, keys)
+        );
+      },
+    };
+  }
+
+  /**
+   * Load an HLS playlist and describe it as MediaSourceLoader streams.
+   * Segments are fragmented MP4 (CMAF) or MPEG-TS with H.264 and AAC.
+   */
+  function loadHLSStreams(url) {
+    return fetchText(url).then((text) => {
+      const playlist = parseM3U8(text, url);
+
+      if (!playlist.master) {
+        return [
+          {
+            renditions: [
+              createHLSRendition(
+                url,
+                "video/mp4",
+                HLS_DEFAULT_CODECS,
+                0,
+                playlist
+              ),
+            ],
+          },
+        ];
+      }
+
+      // Use the audio group of the first variant for the whole stream
+      const audioGroup = playlist.variants.length
+        ? playlist.variants[0].audio
+        : null;
+      const variants = playlist.variants.filter(
+        (variant) => variant.audio === audioGroup
+      );
+      const audioTracks = playlist.media.filter(
+        (media) =>
+          media.type === "AUDIO" && media.groupId === audioGroup && media.url
+      );
+
+      if (!audioTracks.length) {
+        return [
+          {
+            renditions: variants.map((variant) =>
+              createHLSRendition(
+                variant.url,
+                "video/mp4",
+                variant.codecs || HLS_DEFAULT_CODECS,
+                variant.bandwidth
+              )
+            ),
+          },
+        ];
+      }
+
+      const audioTrack =
+        audioTracks.find((media) => media.default) || audioTracks[0];
+      const codecs = splitCodecs(variants[0].codecs || HLS_DEFAULT_CODECS);
+      return [
+        {
+          renditions: variants.map((variant) =>
+            createHLSRendition(
+              variant.url,
+              "video/mp4",
+              splitCodecs(variant.codecs || HLS_DEFAULT_CODECS).video,
+              variant.bandwidth
+            )
+          ),
+        },
+        {
+          renditions: [
+            createHLSRendition(
+              audioTrack.url,
+              "audio/mp4",
+              codecs.audio || "mp4a.40.2",
+              0
+            ),
+          ],
+        },
+      ];
+    });
+  }
+
+  // ============================================================================
+  // HTML5 PLAYER
+  // ============================================================================
+
+  class HTML5Player extends BasePlayer {
+    constructor(container, source, options) {
+      super(container, source, options);
+      this.videoElement = null;
+      this.streamLoader = null;
+      this.destroyed = false;
+      this.init();
+    }
+
+    /**
+     * Point the video element at the source. HLS uses the browser's native
+     * support when present and the built-in MediaSourceLoader otherwise;
+     * DASH always streams through MediaSourceLoader. Fallback sources can
+     * be of any of these types.
+     */
+    attachSource(video) {
+      if (this.source.type === "hls" && !canPlayHLSNatively()) {
+        this.attachStreams(video, loadHLSStreams(this.source.id));
+        return;
+      }
+      if (this.source.type === "dash") {
+        this.attachStreams(video, loadDASHStreams(this.source.id));
+        return;
+      }
+      // A media fragment lets the browser fetch from the clip start. The
+      // end is left to enforceClip(): at a fragment end browsers only pause.
+      video.src =
+        this.clipStart && this.source.id.indexOf("#") === -1
+          ? `${this.source.id}#t=${this.clipStart}`
+          : this.source.id;
+    }
+
+    /**
+     * Play adaptive streams through MediaSourceLoader once they are loaded
+     */
+    attachStreams(video, streamsPromise) {
+      const streamLoader = new MediaSourceLoader(video, {
+        onError: (error) => this.handleError(error),
+      });
+      this.streamLoader = streamLoader;
+      streamsPromise
+        .then((streams) => {
+          if (this.streamLoader === streamLoader) {
+            streamLoader.load(streams);
+          }
+        })
+        .catch((error) => {
+          if (this.streamLoader === streamLoader) {
+            this.handleError(error);
+          }
+        });
+    }
+
+    /**
+     * Fall back to the next candidate source, if any, before reporting
+     * a playback error
+     */
+    handleError(error) {
+      if (this.destroyed) return;
+      if (this.tryNextSource()) {
+        return;
+      }
+      if (error instanceof Error) {
+        this.emitError(error.code || "unknown", error.message);
+      } else {
+        // A media element "error" Event; details live on video.error
+        const mediaError = this.videoElement && this.videoElement.error;
+        this.emitError(
+          mediaError ? MEDIA_ERROR_CODES[mediaError.code] : "unknown",
+          mediaError && mediaError.message ? mediaError.message : null
+        );
+      }
+    }
+
+    tryNextSource() {
+      const fallbacks = this.source.fallbacks || [];
+      if (this.destroyed || !fallbacks.length || !this.videoElement) {
+        return false;
+      }
+
+      if (this.streamLoader) {
+        this.streamLoader.destroy();
+        this.streamLoader = null;
+      }
+      this.source = Object.assign({}, fallbacks[0], {
+        fallbacks: fallbacks.slice(1),
+      });
+      this.attachSource(this.videoElement);
+      if (!this.isPaused) {
+        const playPromise = this.videoElement.play();
+        if (playPromise !== undefined) {
+          playPromise.catch(() => {});
+        }
+      }
+      return true;
+    }
+
+    init() {
+      const video = document.createElement("video");
+      this.attachSource(video);
+      video.preload = this.options.autoplay ? "auto" : "metadata";
+      video.style.width = "100%";
+      video.style.height = "100%";
+      video.style.objectFit = "cover";
+      video.muted = this.options.muted || false;
+      // Clips loop through finishClip(); native looping restarts at 0
+      video.loop = (this.options.loop && !this.hasClip()) || false;
+      video.autoplay = this.options.autoplay || false;
+      video.playsInline = true; // Required for autoplay on mobile
+      video.setAttribute("playsinline", "true"); // iOS Safari
+      video.controls = false;
+      this.container.appendChild(video);
+
+      // Handle autoplay
+      if (this.options.autoplay) {
+        // Try to play immediately
+        const playPromise = video.play();
+        if (playPromise !== undefined) {
+          playPromise.catch((error) => {
+            // Autoplay was prevented, try again after user interaction
+            console.warn("Autoplay prevented:", error);
+          });
+        }
+      }
+
+      video.addEventListener("loadedmetadata", () => {
+        this.duration = video.duration;
+        // Streams (and browsers without media fragments) start at 0
+        if (video.currentTime < this.clipStart) {
+          video.currentTime = this.clipStart;
+        }
+        this.emit("ready");
+        // Ensure autoplay after metadata is loaded
+        if (this.options.autoplay && video.paused) {
+          const playPromise = video.play();
+          if (playPromise !== undefined) {
+            playPromise.catch((error) => {
+              console.warn("Autoplay after metadata load prevented:", error);
+            });
+          }
+        }
+      });
+
+      video.addEventListener("canplay", () => {
+        // Try autoplay when video can start playing
+        if (this.options.autoplay && video.paused) {
+          const playPromise = video.play();
+          if (playPromise !== undefined) {
+            playPromise.catch((error) => {
+              console.warn("Autoplay after canplay prevented:", error);
+            });
+          }
+        }
+      });
+
+      video.addEventListener("play", () => {
+        this.isPaused = false;
+        this.emit("play");
+      });
+
+      video.addEventListener("pause", () => {
+        this.isPaused = true;
+        this.emit("pause");
+      });
+
+      video.addEventListener("ended", () => {
+        // A clip enforceClip() already finished has emitted `ended`
+        if (this.clipFinished) return;
+        // The element pauses itself at the end; finish the clip regardless
+        this.isPaused = false;
+        this.finishClip();
+      });
+
+      video.addEventListener("timeupdate", () => {
+        this.currentTime = video.currentTime;
+        this.emit("timeupdate", video.currentTime);
+        this.enforceClip(video.currentTime);
+      });
+
+      video.addEventListener("volumechange", () => {
+        this.volume = video.volume;
+        this.isMuted = video.muted;
+        this.emitVolumeChange();
+      });
+
+      video.addEventListener("seeking", () => {
+        this.emit("seeking", video.currentTime);
+      });
+
+      video.addEventListener("seeked", () => {
+        this.emit("seeked", video.currentTime);
+      });
+
+      video.addEventListener("waiting", () => {
+        this.emit("waiting");
+      });
+
+      video.addEventListener("durationchange", () => {
+        if (isFinite(video.duration)) {
+          this.duration = video.duration;
+        }
+        this.emit("durationchange", video.duration);
+      });
+
+      video.addEventListener("ratechange", () => {
+        this.playbackRate = video.playbackRate;
+        this.emit("ratechange", video.playbackRate);
+      });
+
+      video.addEventListener("enterpictureinpicture", () => {
+        this.setPictureInPicture(true);
+      });
+
+      video.addEventListener("leavepictureinpicture", () => {
+        this.setPictureInPicture(false);
+      });
+
+      // Safari before the standard API
+      video.addEventListener("webkitpresentationmodechanged", () => {
+        this.setPictureInPicture(
+          video.webkitPresentationMode === "picture-in-picture"
+        );
+      });
+
+      video.addEventListener("error", (e) => {
+        this.handleError(e);
+      });
+
+      this.videoElement = video;
+      this.playerElement = video;
+
+      // Start within the click that loaded the player; muted if the
+      // browser still won't allow sound
+      if (this.options.playOnLoad) {
+        const playPromise = this.play();
+        if (playPromise !== undefined) {
+          playPromise.catch(() => {
+            if (this.destroyed || video.muted) return;
+            this.setMuted(true);
+            video.play().catch((error) => {
+              console.warn("Playback prevented:", error);
+            });
+          });
+        }
+      }
+    }
+
+    play() {
+      super.play();
+      if (this.videoElement) {
+        return this.videoElement.play();
+      }
+    }
+
+    pause() {
+      super.pause();
+      if (this.videoElement) {
+        this.videoElement.pause();
+      }
+    }
+
+    setCurrentTime(time) {
+      time = this.clampToClip(time);
+      super.setCurrentTime(time);
+      if (this.videoElement) {
+        this.videoElement.currentTime = time;
+      }
+    }
+
+    setVolume(volume) {
+      super.setVolume(volume);
+      if (this.videoElement) {
+        this.videoElement.volume = volume;
+      }
+    }
+
+    setMuted(muted) {
+      super.setMuted(muted);
+      if (this.videoElement) {
+        this.videoElement.muted = muted;
+      }
+    }
+
+    setPlaybackRate(rate) {
+      super.setPlaybackRate(rate);
+      if (this.videoElement) {
+        this.videoElement.playbackRate = rate;
+      }
+    }
+
+    supportsPictureInPicture() {
+      const video = this.videoElement;
+      if (!video || video.disablePictureInPicture) {
+        return false;
+      }
+      return (
+        !!document.pictureInPictureEnabled ||
+        (typeof video.webkitSetPresentationMode === "function" &&
+          video.webkitSupportsPresentationMode("picture-in-picture"))
+      );
+    }
+
+    enterPictureInPicture() {
+      const video = this.videoElement;
+      if (!this.supportsPictureInPicture()) {
+        return super.enterPictureInPicture();
+      }
+      if (video.requestPictureInPicture) {
+        return video.requestPictureInPicture().then(() => undefined);
+      }
+      video.webkitSetPresentationMode("picture-in-picture");
+      return Promise.resolve();
+    }
+
+    exitPictureInPicture() {
+      const video = this.videoElement;
+      if (video && document.pictureInPictureElement === video) {
+        return document.exitPictureInPicture();
+      }
+      if (video && video.webkitPresentationMode === "picture-in-picture") {
+        video.webkitSetPresentationMode("inline");
+      }
+      return Promise.resolve();
+    }
+
+    getDuration() {
+      if (this.videoElement) {
+        return this.videoElement.duration || this.duration;
+      }
+      return this.duration;
+    }
+
+    getCurrentTime() {
+      if (this.videoElement) {
+        return this.videoElement.currentTime;
+      }
+      return this.currentTime;
+    }
+
+    destroy() {
+      // Emptying src fires an "error" that must not start the next fallback
+      this.destroyed = true;
+      this.source = Object.assign({}, this.source, { fallbacks: [] });
+      if (this.streamLoader) {
+        this.streamLoader.destroy();
+        this.streamLoader = null;
+      }
+      const video = this.videoElement;
+      this.videoElement = null;
+      if (video) {
+        video.pause();
+        video.src = "";
+        video.load();
+      }
+      super.destroy();
+    }
+  }
+
+  // ============================================================================
+  // DASH PLAYER
+  // ============================================================================
+
+  /**
+   * Parse an ISO 8601 duration (e.g. "PT1H2M3.5S") into seconds
+   */
+  function parseISODuration(value) {
+    const match =
+      /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+        value || ""
+      );
+    if (!match) return 0;
+    return (
+      parseFloat(match[1] || 0) * 86400 +
+      parseFloat(match[2] || 0) * 3600 +
+      parseFloat(match[3] || 0) * 60 +
+      parseFloat(match[4] || 0)
+    );
+  }
+
+  /**
+   * Get the direct children of an XML node with the given local name
+   */
+  function childElements(node, name) {
+    return Array.prototype.filter.call(
+      node.childNodes,
+      (child) => child.nodeType === 1 && child.localName === name
+    );
+  }
+
+  /**
+   * Parse a DASH byte range ("start-end")
+   */
+  function parseDASHRange(value) {
+    if (!value) return null;
+    const parts = value.split("-");
+    const start = parseInt(parts[0], 10);
+    return { start, length: parseInt(parts[1], 10) - start + 1 };
+  }
+
+  /**
+   * Substitute $RepresentationID$, $Number$, $Bandwidth$ and $Time$
+   * (with optional %0Nd width) in a SegmentTemplate URL
+   */
+  function fillDASHTemplate(template, values) {
+    return template.replace(
+      /\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g,
+      (match, name, width) => {
+        if (!name) return "$";
+        let value = String(values[name]);
+        while (width && value.length < parseInt(width, 10)) {
+          value = "0" + value;
+        }
+        return value;
+      }
+    );
+  }
+
+  /**
+   * Resolve the BaseURL chain from the MPD down to `nodes`
+   */
+  function resolveDASHBaseURL(manifestUrl, nodes) {
+    return nodes.reduce((base, node) => {
+      const baseURL = childElements(node, "BaseURL")[0];
+      return baseURL ? resolveURL(baseURL.textContent.trim(), base) : base;
+    }, manifestUrl);
+  }
+
+  /**
+   * Merge SegmentTemplate/SegmentList attributes inherited through the
+   * Period, AdaptationSet and Representation levels
+   */
+  function getDASHSegmentInfo(nodes, tagName) {
+    let info = null;
+    nodes.forEach((node) => {
+      const element = childElements(node, tagName)[0];
+      if (!element) return;
+      info = info || { attributes: {}, element: null, timeline: null };
+      Array.prototype.forEach.call(element.attributes, (attribute) => {
+        info.attributes[attribute.name] = attribute.value;
+      });
+      info.element = element;
+      info.timeline =
+        childElements(element, "SegmentTimeline")[0] || info.timeline;
+    });
+    return info;
+  }
+
+  /**
+   * Build a MediaSourceLoader segment index for one Representation
+   */
+  function buildDASHSegmentIndex(mpd, period, representation) {
+    const nodes = [
+      period.node,
+      representation.adaptationSet,
+      representation.node,
+    ];
+    const baseUrl = resolveDASHBaseURL(mpd.url, [mpd.node].concat(nodes));
+    const values = {
+      RepresentationID: representation.id,
+      Bandwidth: representation.bandwidth,
+    };
+    const segments = [];
+    let init = null;
+
+    const template = getDASHSegmentInfo(nodes, "SegmentTemplate");
+    const list = getDASHSegmentInfo(nodes, "SegmentList");
+
+    if (template) {
+      const attributes = template.attributes;
+      const timescale = parseFloat(attributes.timescale) || 1;
+      const offset =
+        (parseFloat(attributes.presentationTimeOffset) || 0) / timescale;
+      let number = parseInt(attributes.startNumber, 10);
+      if (isNaN(number)) number = 1;
+
+      if (attributes.initialization) {
+        init = {
+          url: resolveURL(
+            fillDASHTemplate(attributes.initialization, values),
+            baseUrl
+          ),
+          range: null,
+        };
+      }
+
+      const pushSegment = (time, duration) => {
+        segments.push({
+          url: resolveURL(
+            fillDASHTemplate(
+              attributes.media,
+              Object.assign({ Number: number, Time: time }, values)
+            ),
+            baseUrl
+          ),
+          range: null,
+          start: period.start + time / timescale - offset,
+          duration: duration / timescale,
+          sn: number,
+        });
+        number++;
+      };
+
+      if (template.timeline) {
+        const entries = childElements(template.timeline, "S");
+        let time = 0;
+        entries.forEach((entry, i) => {
+          if (entry.hasAttribute("t")) {
+            time = parseFloat(entry.getAttribute("t"));
+          }
+          const duration = parseFloat(entry.getAttribute("d"));
+          let repeat = parseInt(entry.getAttribute("r"), 10) || 0;
+          if (repeat < 0) {
+            // Repeat until the next entry or the end of the period
+            const next = entries[i + 1];
+            const end =
+              next && next.hasAttribute("t")
+                ? parseFloat(next.getAttribute("t"))
+                : (offset + period.duration) * timescale;
+            repeat = Math.max(0, Math.ceil((end - time) / duration) - 1);
+          }
+          for (let r = 0; r <= repeat; r++) {
+            pushSegment(time, duration);
+            time += duration;
+          }
+        });
+      } else if (attributes.duration) {
+        const duration = parseFloat(attributes.duration);
+        const segmentDuration = duration / timescale;
+        let first = 0;
+        let count = Math.ceil(period.duration / segmentDuration);
+        if (mpd.live) {
+          // Segments available now, within the time-shift window
+          const elapsed =
+            (Date.now() - mpd.availabilityStartTime) / 1000 - period.start;
+          const available = Math.floor(elapsed / segmentDuration);
+          count = Math.max(
+            1,
+            Math.ceil(mpd.timeShiftBufferDepth / segmentDuration)
+          );
+          first = Math.max(0, available - count);
+          count = Math.min(count, available);
+        }
+        number += first;
+        for (let i = 0; i < count; i++) {
+          pushSegment((first + i) * duration + offset * timescale, duration);
+        }
+      }
+    } else if (list) {
+      const attributes = list.attributes;
+      const timescale = parseFloat(attributes.timescale) || 1;
+      const duration = parseFloat(attributes.duration) || 0;
+      const initialization = childElements(list.element, "Initialization")[0];
+      if (initialization) {
+        init = {
+          url: resolveURL(
+            initialization.getAttribute("sourceURL") || "",
+            baseUrl
+          ),
+          range: parseDASHRange(initialization.getAttribute("range")),
+        };
+      }
+      let number = parseInt(attributes.startNumber, 10);
+      if (isNaN(number)) number = 1;
+      childElements(list.element, "SegmentURL").forEach((segmentURL, i) => {
+        segments.push({
+          url: resolveURL(segmentURL.getAttribute("media") || "", baseUrl),
+          range: parseDASHRange(segmentURL.getAttribute("mediaRange")),
+          start: period.start + (i * duration) / timescale,
+          duration: duration / timescale,
+          sn: number + i,
+        });
+      });
+    } else {
+      throw createPlaybackError(
+        "not-supported",
+        "DASH SegmentBase representations are not supported"
+      );
+    }
+
+    return {
+      init,
+      segments,
+      live: mpd.live,
+      refreshInterval: mpd.refreshInterval,
+    };
+  }
+
+  /**
+   * Parse an MPD manifest into adaptation sets and representations
+   * @param {string} text
+   * @param {string} url - The manifest URL, for resolving segment URLs
+   * @param {Function} [parseXML] - Turns the text into an XML Document;
+   *   DOMParser by default
+   */
+  function parseMPD(text, url, parseXML) {
+    const doc = parseXML
+      ? parseXML(text)
+      : new DOMParser().parseFromString(text, "application/xml");
+    const root = doc.documentElement;
+    if (!root || root.localName !== "MPD") {
+      throw createPlaybackError("decode", "Invalid DASH manifest");
+    }
+
+    const live = root.getAttribute("type") === "dynamic";
+    const mpd = {
+      url,
+      node: root,
+      live,
+      duration: parseISODuration(
+        root.getAttribute("mediaPresentationDuration")
+      ),
+      availabilityStartTime:
+        Date.parse(root.getAttribute("availabilityStartTime")) || 0,
+      timeShiftBufferDepth:
+        parseISODuration(root.getAttribute("timeShiftBufferDepth")) || 30,
+      refreshInterval:
+        parseISODuration(root.getAttribute("minimumUpdatePeriod")) * 1000 ||
+        2000,
+      adaptationSets: [],
+    };
+
+    // Only the first period is played
+    const periodNode = childElements(root, "Period")[0];
+    if (!periodNode) {
+      throw createPlaybackError("decode", "DASH manifest has no Period");
+    }
+    const period = {
+      node: periodNode,
+      start: parseISODuration(periodNode.getAttribute("start")),
+      duration:
+        parseISODuration(periodNode.getAttribute("duration")) || mpd.duration,
+    };
+
+    childElements(periodNode, "AdaptationSet").forEach((adaptationSet) => {
+      const mimeType = adaptationSet.getAttribute("mimeType") || "";
+      const contentType =
+        adaptationSet.getAttribute("contentType") || mimeType.split("/")[0];
+      if (contentType !== "video" && contentType !== "audio") {
+        return;
+      }
+      mpd.adaptationSets.push({
+        contentType,
+        language: adaptationSet.getAttribute("lang"),
+        representations: childElements(adaptationSet, "Representation").map(
+          (node) => {
+            const representation = {
+              id: node.getAttribute("id"),
+              bandwidth: parseInt(node.getAttribute("bandwidth"), 10) || 0,
+              mimeType: node.getAttribute("mimeType") || mimeType,
+              codecs:
+                node.getAttribute("codecs") ||
+                adaptationSet.getAttribute("codecs") ||
+                "",
+              adaptationSet,
+              node,
+            };
+            representation.getIndex = () =>
+              buildDASHSegmentIndex(mpd, period, representation);
+            return representation;
+          }
+        ),
+      });
+    });
+
+    return mpd;
+  }
+
+  /**
+   * Load an MPD manifest and describe it as MediaSourceLoader streams:
+   * the first video and the first audio adaptation set.
+   */
+  function loadDASHStreams(url) {
+    const loadManifest = () =>
+      fetchText(url).then((text) => parseMPD(text, url));
+
+    return loadManifest().then((mpd) => {
+      const streams = [];
+      ["video", "audio"].forEach((contentType) => {
+        const setIndex = mpd.adaptationSets.findIndex(
+          (set) => set.contentType === contentType
+        );
+        if (setIndex === -1) return;
+        streams.push({
+          renditions: mpd.adaptationSets[setIndex].representations.map(
+            (representation) => {
+              let parsed = true;
+              return {
+                bandwidth: representation.bandwidth,
+                mimeType: representation.mimeType,
+                codecs: representation.codecs,
+                load() {
+                  if (!mpd.live || parsed) {
+                    parsed = false;
+                    return Promise.resolve().then(() =>
+                      representation.getIndex()
+                    );
+                  }
+                  // Live manifests change; fetch a fresh copy on each refresh
+                  return loadManifest().then((fresh) => {
+                    const set = fresh.adaptationSets[setIndex];
+                    const match =
+                      set &&
+                      set.representations.find(
+                        (r) => r.id === representation.id
+                      );
+                    if (!match) {
+                      throw new Error("DASH representation disappeared");
+                    }
+                    return match.getIndex();
+                  });
+                },
+              };
+            }
+          ),
+        });
+      });
+
+      if (!streams.length) {
+        throw createPlaybackError(
+          "not-supported",
+          "DASH manifest has no playable adaptation sets"
+        );
+      }
+      return streams;
+    });
+  }
+
+  /**
+   * MPEG-DASH player. HTML5Player.attachSource() streams the manifest
+   * through MediaSourceLoader into the <video> element, the same way it does
+   * for DASH fallback sources, so this backend emits the same events.
+   */
+  class DASHPlayer extends HTML5Player {}
+
+  // ============================================================================
+  // BUILT-IN PROVIDERS
+  // ============================================================================
+
+  /**
+   * Check whether a type hint names the given provider
+   */
+  function isHintFor(type, name) {
+    return !!type && SourceDetector.getHintedType(type) === name;
+  }
+
+  // Registered in reverse priority order: each registration goes in front
+  registerProvider({
+    name: "mp4",
+    match(url, type) {
+      if (isHintFor(type, "mp4")) {
+        const hint = type.split(";")[0].trim().toLowerCase();
+        return { id: url, mimeType: hint === "mp4" ? "video/mp4" : type };
+      }
+      const mimeType = getProgressiveMimeType(url);
+      return mimeType ? { id: url, mimeType } : null;
+    },
+    canPlay(source) {
+      if (!source.mimeType) return true;
+      const video = document.createElement("video");
+      return !!(video.canPlayType && video.canPlayType(source.mimeType));
+    },
+    createPlayer(container, source, options) {
+      return new HTML5Player(container, source, options);
+    },
+    getThumbnail(source, callback) {
+      captureMP4Thumbnail(source.id, callback);
+    },
+  });
+
+  registerProvider({
+    name: "dash",
+    match(url, type) {
+      return isDASH(url) || isHintFor(type, "dash") ? url : null;
+    },
+    canPlay() {
+      return !!getMediaSource();
+    },
+    createPlayer(container, source, options) {
+      return new DASHPlayer(container, source, options);
+    },
+  });
+
+  registerProvider({
+    name: "hls",
+    match(url, type) {
+      return isHLS(url) || isHintFor(type, "hls") ? url : null;
+    },
+    canPlay() {
+      return canPlayHLSNatively() || !!getMediaSource();
+    },
+    createPlayer(container, source, options) {
+      return new HTML5Player(container, source, options);
+    },
+    getThumbnail(source, callback) {
+      // Only native HLS can be drawn from a throwaway <video> element
+      if (canPlayHLSNatively()) {
+        captureMP4Thumbnail(source.id, callback);
+      } else {
+        callback(null);
+      }
+    },
+  });
+
+  registerProvider({
+    name: "vimeo",
+    iframe: true,
+    match: extractVimeoId,
+    createPlayer(container, source, options) {
+      return new VimeoPlayer(container, source, options);
+    },
+    getThumbnail(source, callback) {
+      getVimeoThumbnail(source.id, callback);
+    },
+  });
+
+  registerProvider({
+    name: "youtube",
+    iframe: true,
+    match: extractYouTubeId,
+    createPlayer(container, source, options) {
+      return new YouTubePlayer(container, source, options);
+    },
+    getThumbnail(source, callback) {
+      callback(getYouTubeThumbnail(source.id));
+    },
+  });
+
+  // ============================================================================
+  // LAZY LOADING
+  // ============================================================================
+
+  const LOAD_MODES = ["eager", "click", "visible"];
+
+  // Start loading "visible" players a little before they scroll into view
+  const LAZY_LOAD_MARGIN = "200px";
+
+  /**
+   * Stand-in backend for lazily loaded players (`load: "click"` or
+   * `"visible"`). It loads no SDK, iframe or video, so the controls only
+   * show the thumbnail and center button; the first play() calls
+   * `onActivate` to swap in the real backend.
+   */
+  class FacadePlayer extends BasePlayer {
+    constructor(container, source, options) {
+      super(container, source, options);
+      this.onActivate = null;
+    }
+
+    play() {
+      if (this.onActivate) {
+        this.onActivate(true);
+      }
+    }
+  }
+
+  // ============================================================================
+  // CAPTIONS
+  // ============================================================================
+
+  const CAPTIONS_PREFERENCE_KEY = "vp-captions-language";
+
+  /**
+   * Parse a cue timestamp ("01:02:03.456", "02:03.456" or SRT's "01:02:03,456")
+   */
+  function parseTimestamp(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(
+      value.trim()
+    );
+    if (!match) return NaN;
+    return (
+      parseInt(match[1] || 0, 10) * 3600 +
+      parseInt(match[2], 10) * 60 +
+      parseInt(match[3], 10) +
+      parseInt((match[4] + "00").slice(0, 3), 10) / 1000
+    );
+  }
+
+  /**
+   * Parse blank-line separated cue blocks. WebVTT and SRT share this
+   * layout: an optional identifier line, a "start --> end" timing line,
+   * then the cue text.
+   */
+  function parseCueBlocks(text) {
+    const cues = [];
+    text
+      .replace(/^\uFEFF/, "")
+      .replace(/\r\n?/g, "\n")
+      .split(/\n{2,}/)
+      .forEach((block) => {
+        const lines = block.split("\n");
+        const timingIndex = lines.findIndex((line) => line.includes("-->"));
+        if (timingIndex === -1) return; // Header, NOTE, STYLE, REGION
+        const timing = lines[timingIndex].split("-->");
+        const start = parseTimestamp(timing[0]);
+        const end = parseTimestamp(timing[1].trim().split(/\s+/)[0]);
+        if (isNaN(start) || isNaN(end)) return;
+        cues.push({
+          id: timingIndex > 0 ? lines[0].trim() : null,
+          start,
+          end,
+          text: lines
+            .slice(timingIndex + 1)
+            .join("\n")
+            .replace(/\s+$/, ""),
+        });
+      });
+    return cues;
+  }
+
+  /**
+   * Parse a WebVTT file into cues
+   */
+  function parseWebVTT(text) {
+    if (!/^(\uFEFF)?WEBVTT/.test(text)) {
+      throw new Error("Invalid WebVTT file");
+    }
+    return parseCueBlocks(text);
+  }
+
+  /**
+   * Parse an SRT file into cues
+   */
+  function parseSRT(text) {
+    return parseCueBlocks(text).map((cue) =>
+      // Drop SSA-style positioning overrides such as {\an8}
+      Object.assign(cue, { text: cue.text.replace(/\{\\[^}]*\}/g, "") })
+    );
+  }
+
+  /**
+   * Parse a caption file, detecting WebVTT by its header
+   */
+  function parseCaptions(text) {
+    return /^(\uFEFF)?WEBVTT/.test(text) ? parseWebVTT(text) : parseSRT(text);
+  }
+
+  /**
+   * Render cue text into `parent`, keeping <b>, <i> and <u> and dropping
+   * any other markup (voice spans, classes, inline timestamps)
+   */
+  function renderCueText(text, parent) {
+    const decode = (value) =>
+      value
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&");
+    const stack = [parent];
+    const pattern = /<(\/?)([a-z]+)[^>]*>/gi;
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match.index > lastIndex) {
+        stack[stack.length - 1].appendChild(
+          document.createTextNode(decode(text.slice(lastIndex, match.index)))
+        );
+      }
+      lastIndex = pattern.lastIndex;
+      const tag = match[2].toLowerCase();
+      if (tag !== "b" && tag !== "i" && tag !== "u") continue;
+      if (match[1]) {
+        if (stack.length > 1 && stack[stack.length - 1].localName === tag) {
+          stack.pop();
+        }
+      } else {
+        const element = document.createElement(tag);
+        stack[stack.length - 1].appendChild(element);
+        stack.push(element);
+      }
+    }
+    if (lastIndex < text.length) {
+      stack[stack.length - 1].appendChild(
+        document.createTextNode(decode(text.slice(lastIndex)))
+      );
+    }
+  }
+
+  /**
+   * Loads caption tracks (`{ src, srclang, label, default }`) and renders the
+   * active cues into an overlay inside the player container. Rendering is
+   * driven by the player's timeupdate events, so it works the same for
+   * every backend.
+   */
+  class CaptionsManager {
+    constructor(container, tracks) {
+      this.container = container;
+      this.tracks = tracks.map((track) =>
+        Object.assign({ cues: null, request: null }, track)
+      );
+      this.activeTrack = null;
+      this.activeCues = [];
+      this.currentTime = 0;
+      this.onChange = null;
+
+      this.overlay = document.createElement("div");
+      this.overlay.className = "vp-captions";
+      this.overlay.setAttribute("aria-live", "off");
+      this.container.appendChild(this.overlay);
+    }
+
+    /**
+     * Pick the track to show first: the remembered language, otherwise
+     * the track marked as default
+     */
+    getInitialTrack() {
+      const preference = readPreference(CAPTIONS_PREFERENCE_KEY);
+      if (preference === "off") {
+        return null;
+      }
+      return (
+        this.tracks.find(
+          (track) => (track.srclang || track.label) === preference
+        ) ||
+        this.tracks.find((track) => track.default) ||
+        null
+      );
+    }
+
+    loadTrack(track) {
+      if (!track.request) {
+        track.request = fetchText(resolveURL(track.src, window.location.href))
+          .then((text) => {
+            track.cues = parseCaptions(text);
+            return track.cues;
+          })
+          .catch((error) => {
+            track.request = null;
+            throw error;
+          });
+      }
+      return track.request;
+    }
+
+    /**
+     * Show a track (or hide captions with null). `remember` stores the
+     * choice for the next page load.
+     */
+    select(track, remember) {
+      this.activeTrack = track;
+      if (remember) {
+        writePreference(
+          CAPTIONS_PREFERENCE_KEY,
+          track ? track.srclang || track.label : "off"
+        );
+      }
+      if (this.onChange) {
+        this.onChange(track);
+      }
+      if (!track) {
+        this.render([]);
+        return Promise.resolve();
+      }
+      return this.loadTrack(track)
+        .then(() => {
+          if (this.activeTrack === track) {
+            this.update(this.currentTime, true);
+          }
+        })
+        .catch((error) => {
+          console.warn("VideoPlayer: failed to load captions:", error);
+        });
+    }
+
+    update(time, force) {
+      this.currentTime = time;
+      const cues =
+        this.activeTrack && this.activeTrack.cues
+          ? this.activeTrack.cues.filter(
+              (cue) => cue.start <= time && cue.end > time
+            )
+          : [];
+      const changed =
+        cues.length !== this.activeCues.length ||
+        cues.some((cue, i) => cue !== this.activeCues[i]);
+      if (changed || force) {
+        this.render(cues);
+      }
+    }
+
+    render(cues) {
+      this.activeCues = cues;
+      this.overlay.innerHTML = "";
+      cues.forEach((cue) => {
+        const line = document.createElement("div");
+        const text = document.createElement("span");
+        text.className = "vp-caption-cue";
+        renderCueText(cue.text, text);
+        line.appendChild(text);
+        this.overlay.appendChild(line);
+      });
+      if (this.activeTrack && this.activeTrack.srclang) {
+        this.overlay.setAttribute("lang", this.activeTrack.srclang);
+      } else {
+        this.overlay.removeAttribute("lang");
+      }
+    }
+
+    destroy() {
+      this.overlay.remove();
+      this.onChange = null;
+    }
+  }
+
+  // ============================================================================
+  // CHAPTERS
+  // ============================================================================
+
+  /**
+   * Sort chapters (`{ start, end, title }`, times in seconds or clock
+   * times) and fill in each missing end with the next chapter's start.
+   * The last chapter's end stays null: it runs to the end of the video.
+   */
+  function normalizeChapters(chapters) {
+    const sorted = chapters
+      .map((chapter) => ({
+        start: parseTimeOption(chapter.start),
+        end: parseTimeOption(chapter.end),
+        title: String(chapter.title || "").trim(),
+      }))
+      .filter((chapter) => chapter.start !== null)
+      .sort((a, b) => a.start - b.start);
+    sorted.forEach((chapter, index) => {
+      chapter.index = index;
+      if (chapter.end === null && index < sorted.length - 1) {
+        chapter.end = sorted[index + 1].start;
+      }
+    });
+    return sorted;
+  }
+
+  /**
+   * Chapters given as a list or an inline JSON list; null for a URL
+   */
+  function parseInlineChapters(value) {
+    if (Array.isArray(value)) {
+      return normalizeChapters(value);
+    }
+    const text = String(value).trim();
+    return text.charAt(0) === "[" ? normalizeChapters(JSON.parse(text)) : null;
+  }
+
+  /**
+   * Load chapters from a list, an inline JSON list or the URL of a WebVTT
+   * chapters file (one cue per chapter, the cue text being its title)
+   */
+  function loadChapters(value) {
+    if (Array.isArray(value) || String(value).trim().charAt(0) === "[") {
+      return Promise.resolve().then(() => parseInlineChapters(value));
+    }
+    const text = String(value).trim();
+    return fetchText(resolveURL(text, window.location.href)).then((vtt) =>
+      normalizeChapters(
+        parseWebVTT(vtt).map((cue) => ({
+          start: cue.start,
+          end: cue.end,
+          title: cue.text,
+        }))
+      )
+    );
+  }
+
+  /**
+   * The chapter playing at `time`, or null (before the first chapter or in
+   * a gap between WebVTT cues)
+   */
+  function findChapter(chapters, time) {
+    for (let i = chapters.length - 1; i >= 0; i--) {
+      const chapter = chapters[i];
+      if (time >= chapter.start) {
+        return chapter.end === null || time < chapter.end ? chapter : null;
+      }
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // SEEK PREVIEW
+  // ============================================================================
+
+  const PREVIEW_WIDTH = 160;
+  const PREVIEW_CACHE_SIZE = 100;
+
+  /**
+   * Parse a WebVTT storyboard: each cue's text is an image URL, usually a
+   * sprite with a `#xywh=x,y,width,height` fragment selecting the tile
+   */
+  function parseStoryboard(text, baseURL) {
+    return parseWebVTT(text).map((cue) => {
+      const parts = cue.text.trim().split("#xywh=");
+      const tile = (parts[1] || "").split(",").map(Number);
+      return {
+        start: cue.start,
+        end: cue.end,
+        url: resolveURL(parts[0], baseURL),
+        x: tile[0] || 0,
+        y: tile[1] || 0,
+        width: tile[2] || null,
+        height: tile[3] || null,
+      };
+    });
+  }
+
+  function loadStoryboard(url) {
+    const absolute = resolveURL(url, window.location.href);
+    return fetchText(absolute).then((text) => parseStoryboard(text, absolute));
+  }
+
+  /**
+   * Grabs preview frames of a video file on demand with an offscreen
+   * <video>, the way captureMP4Thumbnail() does. One seek runs at a time;
+   * while it does, only the latest request is kept.
+   */
+  class FramePreviewer {
+    constructor(url) {
+      this.cache = new Map();
+      this.current = null;
+      this.pending = null;
+      this.failed = false;
+
+      this.video = document.createElement("video");
+      this.video.crossOrigin = "anonymous";
+      this.video.muted = true;
+      // Seeks fetch what each frame needs; don't download the whole file
+      this.video.preload = "metadata";
+      this.video.addEventListener("loadedmetadata", () => this.next());
+      this.video.addEventListener("seeked", () => this.capture());
+      this.video.addEventListener("error", () => {
+        this.failed = true;
+      });
+      this.video.src = url;
+    }
+
+    /**
+     * Get the frame at `time` (to the second) as `{ url, width, height }`
+     */
+    request(time, callback) {
+      const key = Math.round(time);
+      if (this.cache.has(key)) {
+        callback(this.cache.get(key));
+        return;
+      }
+      this.pending = { key, callback };
+      if (!this.current) {
+        this.next();
+      }
+    }
+
+    next() {
+      if (!this.pending || this.failed || this.video.readyState < 1) {
+        return;
+      }
+      this.current = this.pending;
+      this.pending = null;
+      this.video.currentTime = this.current.key;
+    }
+
+    capture() {
+      const request = this.current;
+      this.current = null;
+      if (!request) return;
+      try {
+        const frame = captureVideoFrame(this.video, PREVIEW_WIDTH);
+        this.cache.set(request.key, frame);
+        if (this.cache.size > PREVIEW_CACHE_SIZE) {
+          this.cache.delete(this.cache.keys().next().value);
+        }
+        request.callback(frame);
+      } catch (e) {
+        // A tainted canvas: the server sends no CORS headers
+        this.failed = true;
+        return;
+      }
+      this.next();
+    }
+
+    destroy() {
+      this.pending = null;
+      this.current = null;
+      this.video.removeAttribute("src");
+      this.video.load();
+    }
+  }
+
+  // ============================================================================
+  // PLAYLIST
+  // ============================================================================
+
+  const REPEAT_MODES = ["none", "all", "one"];
+
+  // Options a playlist item (or loadSource()) sets; missing ones are cleared
+  const SOURCE_OPTION_KEYS = [
+    "src",
+    "type",
+    "sources",
+    "title",
+    "description",
+    "thumbnail",
+    "captions",
+    "start",
+    "end",
+    "chapters",
+    "previewThumbnails",
+  ];
+
+  /**
+   * Turn a playlist entry (a URL, or an object with `src` or `sources` and
+   * optional `type`, `title`, `thumbnail` and `captions`) into player options
+   */
+  function getSourceOptions(item) {
+    const entry = typeof item === "string" ? { src: item } : item;
+    const options = {};
+    SOURCE_OPTION_KEYS.forEach((key) => {
+      options[key] = entry[key] !== undefined ? entry[key] : null;
+    });
+    return options;
+  }
+
+  /**
+   * Play order of a list of items, with shuffle and repeat modes.
+   * `index` is the position in `items`, `position` the one in `order`.
+   */
+  class Playlist {
+    constructor(items, options) {
+      this.items = items.slice();
+      this.order = this.items.map((item, index) => index);
+      this.position = 0;
+      this.shuffle = false;
+      this.repeat = "none";
+      this.setRepeat(options.repeat);
+      this.setShuffle(options.shuffle);
+    }
+
+    get index() {
+      return this.order[this.position];
+    }
+
+    get current() {
+      return this.items[this.index];
+    }
+
+    select(index) {
+      this.position = this.order.indexOf(index);
+    }
+
+    /**
+     * Shuffle the play order, keeping the current item first
+     */
+    setShuffle(shuffle) {
+      const index = this.index;
+      this.shuffle = !!shuffle;
+      this.order = this.items.map((item, i) => i);
+      if (this.shuffle) {
+        this.order.splice(index, 1);
+        for (let i = this.order.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+        }
+        this.order.unshift(index);
+      }
+      this.select(index);
+    }
+
+    setRepeat(mode) {
+      this.repeat = REPEAT_MODES.includes(mode) ? mode : "none";
+    }
+
+    /**
+     * Index of the item after the current one, or -1 at the end
+     */
+    getNextIndex() {
+      if (this.position < this.order.length - 1) {
+        return this.order[this.position + 1];
+      }
+      return this.repeat === "all" ? this.order[0] : -1;
+    }
+
+    /**
+     * Index of the item before the current one, or -1 at the start
+     */
+    getPreviousIndex() {
+      if (this.position > 0) {
+        return this.order[this.position - 1];
+      }
+      return this.repeat === "all" ? this.order[this.order.length - 1] : -1;
+    }
+  }
+
+  // ============================================================================
+  // ICONS
+  // ============================================================================
+
+  function svgIcon(path) {
+    return (
+      `<svg class="vp-svg" viewBox="0 0 24 24" fill="currentColor"` +
+      ` focusable="false"><path d="${path}"/></svg>`
+    );
+  }
+
+  // Icon name -> inline SVG markup (24x24, drawn in currentColor)
+  const DEFAULT_ICONS = {
+    play: svgIcon("M8 5v14l11-7z"),
+    pause: svgIcon("M6 19h4V5H6v14zm8-14v14h4V5h-4z"),
+    volume: svgIcon(
+      "M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"
+    ),
+    muted: svgIcon(
+      "M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z"
+    ),
+    fullscreen: svgIcon(
+      "M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"
+    ),
+    exitFullscreen: svgIcon(
+      "M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"
+    ),
+    pictureInPicture: svgIcon(
+      "M19 7h-8v6h8V7zm2-4H3c-1.1 0-2 .9-2 2v14c0 1.1.9 1.98 2 1.98h18c1.1 0 2-.88 2-1.98V5c0-1.1-.9-2-2-2zm0 16.01H3V4.98h18v14.03z"
+    ),
+    chapters: svgIcon(
+      "M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z"
+    ),
+    previous: svgIcon("M6 6h2v12H6zm3.5 6l8.5 6V6z"),
+    next: svgIcon("M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"),
+    close: svgIcon(
+      "M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"
+    ),
+    returnToVideo: svgIcon(
+      "M10 9V5l-7 7 7 7v-4.1c5 0 8.5 1.6 11 5.1-1-5-4-10-11-11z"
+    ),
+  };
+
+  // The icon set in use; VideoPlayer.setIcons() replaces entries
+  const icons = Object.assign({}, DEFAULT_ICONS);
+
+  /**
+   * Replace icons for players created afterwards, e.g.
+   * `setIcons({ play: "<svg>...</svg>" })`. Any HTML works; SVGs drawn in
+   * currentColor follow the theme.
+   */
+  function setIcons(overrides) {
+    Object.assign(icons, overrides);
+  }
+
+  /**
+   * Markup of icon `name` in a hidden-from-screen-readers span, taken from a
+   * player's `icons` option if it has it
+   */
+  function getIcon(name, overrides, className) {
+    const markup = (overrides && overrides[name]) || icons[name];
+    const classAttribute = className ? ` class="${className}"` : "";
+    return `<span${classAttribute} aria-hidden="true">${markup}</span>`;
+  }
+
+  // ============================================================================
+  // MINI PLAYER
+  // ============================================================================
+
+  const MINI_PLAYER_WIDTH = 320;
+  const MINI_PLAYER_MIN_WIDTH = 200;
+  const MINI_PLAYER_MAX_WIDTH = 640;
+  const MINI_PLAYER_MARGIN = 20;
+
+  /**
+   * Docks a playing player into a floating corner window once it scrolls
+   * out of view (`sticky` option). The wrapper is only restyled with fixed
+   * positioning, never moved in the DOM, so YouTube and Vimeo iframes keep
+   * playing. A placeholder holds its place in the page meanwhile.
+   */
+  class MiniPlayer {
+    constructor(wrapper, options) {
+      this.wrapper = wrapper;
+      this.ratio = getAspectRatioPadding(options.ratio) / 100;
+      this.onClose = options.onClose;
+      this.icons = options.icons;
+      this.playing = false;
+      this.docked = false;
+      this.inView = true;
+      this.dismissed = false; // Closed; stays inline until scrolled back
+      this.observer = null;
+      this.observed = null;
+
+      this.placeholder = document.createElement("div");
+      this.placeholder.className = "vp-sticky-placeholder";
+      this.placeholder.setAttribute("aria-hidden", "true");
+      this.placeholder.style.paddingBottom = this.ratio * 100 + "%";
+
+      this.createBar();
+      this.observe(wrapper);
+    }
+
+    createBar() {
+      const bar = document.createElement("div");
+      bar.className = "vp-sticky-bar";
+      bar.innerHTML = `
+        <button type="button" class="vp-sticky-return" aria-label="Back to the video's position">
+          ${getIcon("returnToVideo", this.icons)}
+        </button>
+        <button type="button" class="vp-sticky-close" aria-label="Close mini player">
+          ${getIcon("close", this.icons)}
+        </button>
+      `;
+      const resizeHandle = document.createElement("div");
+      resizeHandle.className = "vp-sticky-resize";
+      resizeHandle.setAttribute("aria-hidden", "true");
+
+      bar.querySelector(".vp-sticky-return").addEventListener("click", () => {
+        this.dismissed = true;
+        this.undock();
+        this.wrapper.scrollIntoView({ behavior: "smooth", block: "center" });
+      });
+      bar.querySelector(".vp-sticky-close").addEventListener("click", () => {
+        this.dismissed = true;
+        this.undock();
+        if (this.onClose) this.onClose();
+      });
+
+      this.attachDrag(bar, (start, dx, dy) => {
+        this.setBounds(start.left + dx, start.top + dy, start.width);
+      });
+      // The handle sits in the top-left corner; the bottom-right stays put
+      this.attachDrag(resizeHandle, (start, dx) => {
+        const width = this.clampWidth(start.width - dx);
+        this.setBounds(
+          start.left + start.width - width,
+          start.top + (start.width - width) * this.ratio,
+          width
+        );
+      });
+
+      this.wrapper.appendChild(bar);
+      this.wrapper.appendChild(resizeHandle);
+      this.bar = bar;
+      this.resizeHandle = resizeHandle;
+    }
+
+    /**
+     * Call `onMove(startBounds, dx, dy)` while `element` is dragged
+     */
+    attachDrag(element, onMove) {
+      let origin = null;
+      element.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0 || e.target.closest("button")) return;
+        e.preventDefault();
+        if (element.setPointerCapture) {
+          element.setPointerCapture(e.pointerId);
+        }
+        origin = { x: e.clientX, y: e.clientY, bounds: this.bounds };
+      });
+      element.addEventListener("pointermove", (e) => {
+        if (origin) {
+          onMove(origin.bounds, e.clientX - origin.x, e.clientY - origin.y);
+        }
+      });
+      ["pointerup", "pointercancel"].forEach((type) => {
+        element.addEventListener(type, () => {
+          origin = null;
+        });
+      });
+    }
+
+    observe(target) {
+      if (!window.IntersectionObserver) return;
+      if (!this.observer) {
+        this.observer = new IntersectionObserver((entries) => {
+          const entry = entries[entries.length - 1];
+          this.inView = entry.isIntersecting;
+          if (this.inView) {
+            this.dismissed = false;
+          }
+          this.update();
+        });
+      }
+      if (this.observed) {
+        this.observer.unobserve(this.observed);
+      }
+      this.observed = target;
+      this.observer.observe(target);
+    }
+
+    setPlaying(playing) {
+      this.playing = playing;
+      this.update();
+    }
+
+    update() {
+      const fullscreen = !!(
+        document.fullscreenElement || document.webkitFullscreenElement
+      );
+      if (this.docked && this.inView) {
+        this.undock();
+      } else if (
+        !this.docked &&
+        !this.inView &&
+        this.playing &&
+        !this.dismissed &&
+        !fullscreen
+      ) {
+        this.dock();
+      }
+    }
+
+    dock() {
+      const rect = this.wrapper.getBoundingClientRect();
+      this.placeholder.style.width = rect.width ? rect.width + "px" : "";
+      this.wrapper.parentNode.insertBefore(this.placeholder, this.wrapper);
+      this.wrapper.classList.add("vp-docked");
+      this.docked = true;
+
+      const width = this.clampWidth(MINI_PLAYER_WIDTH);
+      this.setBounds(
+        window.innerWidth - width - MINI_PLAYER_MARGIN,
+        window.innerHeight - width * this.ratio - MINI_PLAYER_MARGIN,
+        width
+      );
+      // The wrapper is always on screen now; watch its old spot instead
+      this.observe(this.placeholder);
+    }
+
+    undock() {
+      if (!this.docked) return;
+      this.docked = false;
+      this.wrapper.classList.remove("vp-docked");
+      ["left", "top", "width"].forEach((property) => {
+        this.wrapper.style.removeProperty(property);
+      });
+      this.bounds = null;
+      this.observe(this.wrapper);
+      this.placeholder.remove();
+    }
+
+    clampWidth(width) {
+      const max = Math.min(
+        MINI_PLAYER_MAX_WIDTH,
+        window.innerWidth - 2 * MINI_PLAYER_MARGIN
+      );
+      return Math.max(
+        Math.min(MINI_PLAYER_MIN_WIDTH, max),
+        Math.min(width, max)
+      );
+    }
+
+    /**
+     * Position the docked player, kept inside the viewport
+     */
+    setBounds(left, top, width) {
+      const height = width * this.ratio;
+      left = Math.max(0, Math.min(left, window.innerWidth - width));
+      top = Math.max(0, Math.min(top, window.innerHeight - height));
+      this.bounds = { left, top, width };
+      this.wrapper.style.left = left + "px";
+      this.wrapper.style.top = top + "px";
+      this.wrapper.style.width = width + "px";
+    }
+
+    destroy() {
+      this.undock();
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      this.bar.remove();
+      this.resizeHandle.remove();
+    }
+  }
+
+  // ============================================================================
+  // UI CONTROLS
+  // ============================================================================
+
+  // Keyboard shortcut actions, in the order the shortcuts overlay lists them
+  const SHORTCUT_ACTIONS = {
+    togglePlay: "Play / pause",
+    seekBackward: "Back 10 seconds",
+    seekForward: "Forward 10 seconds",
+    previousFrame: "Previous frame (while paused)",
+    nextFrame: "Next frame (while paused)",
+    seekStart: "Go to start",
+    seekEnd: "Go to end",
+    seekPercent: "Go to 0% - 90%",
+    volumeUp: "Volume up",
+    volumeDown: "Volume down",
+    toggleMute: "Mute / unmute",
+    slower: "Decrease speed",
+    faster: "Increase speed",
+    toggleCaptions: "Captions on / off",
+    toggleFullscreen: "Fullscreen",
+    togglePictureInPicture: "Picture-in-Picture",
+    showShortcuts: "Show keyboard shortcuts",
+  };
+
+  // Action -> keys (KeyboardEvent.key values; letters are case-insensitive)
+  const DEFAULT_KEYMAP = {
+    togglePlay: [" ", "Enter", "k"],
+    seekBackward: ["ArrowLeft", "j"],
+    seekForward: ["ArrowRight", "l"],
+    previousFrame: [","],
+    nextFrame: ["."],
+    seekStart: ["Home"],
+    seekEnd: ["End"],
+    seekPercent: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    volumeUp: ["ArrowUp"],
+    volumeDown: ["ArrowDown"],
+    toggleMute: ["m"],
+    slower: ["<"],
+    faster: [">"],
+    toggleCaptions: ["c"],
+    toggleFullscreen: ["f"],
+    togglePictureInPicture: ["i"],
+    showShortcuts: ["?"],
+  };
+
+  const KEY_LABELS = {
+    " ": "Space",
+    ArrowLeft: "\u2190",
+    ArrowRight: "\u2192",
+    ArrowUp: "\u2191",
+    ArrowDown: "\u2193",
+  };
+
+  const SEEK_STEP = 10;
+  const VOLUME_STEP = 0.05;
+  const FRAME_STEP = 1 / 30; // Frame rates aren't exposed; assume 30fps
+
+  // Touch gestures
+  const DOUBLE_TAP_DELAY = 300;
+  const CLICK_AFTER_TOUCH_DELAY = 500;
+  const TAP_SLOP = 10;
+  const SWIPE_DISTANCE = 80;
+  const RIPPLE_DURATION = 600;
+
+  function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Merge the `keymap` option over DEFAULT_KEYMAP and index it by key,
+   * as `{ action, fraction }`. The option maps actions to a key or a list
+   * of keys, or to false to disable them; `keymap: false` disables every
+   * shortcut. A seekPercent digit key goes to its tenth of the video;
+   * other seekPercent keys go by their position in the list.
+   */
+  function createKeymap(option) {
+    const keymap = new Map();
+    if (option === false) {
+      return keymap;
+    }
+    const bind = (actions) => {
+      Object.keys(actions).forEach((action) => {
+        if (!SHORTCUT_ACTIONS[action] || !actions[action]) return;
+        [].concat(actions[action]).forEach((key, index) => {
+          const shortcut = { action };
+          if (action === "seekPercent") {
+            shortcut.fraction = (/^\d$/.test(key) ? Number(key) : index) / 10;
+          }
+          keymap.set(normalizeKey(key), shortcut);
+        });
+      });
+    };
+    const overrides = option || {};
+    const defaults = {};
+    Object.keys(DEFAULT_KEYMAP).forEach((action) => {
+      if (!(action in overrides)) {
+        defaults[action] = DEFAULT_KEYMAP[action];
+      }
+    });
+    // Bound second, so keys the option claims override default bindings
+    bind(defaults);
+    bind(overrides);
+    return keymap;
+  }
+
+  class UIControls {
+    constructor(container, player, options) {
+      this.container = container;
+      this.player = player;
+      this.options = options;
+      this.controlsElement = null;
+      this.playButton = null;
+      this.progressBar = null;
+      this.progressBarFill = null;
+      this.muteButton = null;
+      this.fullscreenButton = null;
+      this.centerButton = null;
+      this.thumbnailElement = null;
+      this.thumbnailOverlay = null;
+      this.clickOverlay = null;
+      this.captions = null;
+      this.captionsMenu = null;
+      this.speedMenu = null;
+      this.chapters = [];
+      this.currentChapter = null;
+      this.chaptersMenu = null;
+      this.chapterMarkers = null;
+      this.chapterTitle = null;
+      this.onChapterChange = null;
+      this.seekPreview = null;
+      this.storyboard = null;
+      this.framePreviewer = null;
+      this.keymap = createKeymap(options.keymap);
+      this.shortcutsOverlay = null;
+      this.lastCaptionsTrack = null;
+      this.pipButton = null;
+      this.previousButton = null;
+      this.nextButton = null;
+      this.upNextElement = null;
+      this.upNextTimer = null;
+      this.resumePrompt = null;
+      this.onPrevious = null;
+      this.onNext = null;
+      this.isDragging = false;
+      this.lastTap = null;
+      this.tapTimer = null;
+      this.lastTouchTime = 0;
+      this.controlsVisible = true;
+      this.idleTimer = null;
+      this.keyboardFocus = false;
+      this.onControlsVisibilityChange = null;
+      this.hasPlayedOnce = false; // Track if video has been played at least once
+      this.init();
+    }
+
+    init() {
+      this.createControls();
+      this.attachEvents();
+      this.setupThumbnail();
+      this.setupClickOverlay();
+      this.setupCaptions();
+      this.setupSpeedMenu();
+      this.setupChapters();
+      this.setupSeekPreview();
+      this.setupPictureInPicture();
+      this.setupPlaylistButtons();
+      this.setupGestures();
+      this.setupIdleDetection();
+    }
+
+    /**
+     * Switch to another backend player (loadSource, playlists) keeping the
+     * controls. Toolbar handlers read `this.player` when they run, so only
+     * the per-source parts are rebuilt.
+     */
+    setPlayer(player) {
+      this.cancelUpNext();
+      this.hideResumePrompt();
+      this.player = player;
+
+      const wrapper = this.container.closest(".vp-wrapper");
+      if (wrapper) {
+        wrapper.classList.remove("playing", "has-custom-thumbnail");
+      }
+      [this.thumbnailElement, this.thumbnailOverlay, this.clickOverlay].forEach(
+        (element) => {
+          if (element) element.remove();
+        }
+      );
+      this.thumbnailElement = null;
+      this.thumbnailOverlay = null;
+      this.clickOverlay = null;
+      if (this.captions) {
+        this.captions.destroy();
+        this.captions = null;
+      }
+      if (this.captionsMenu) {
+        this.captionsMenu.container.remove();
+        this.captionsMenu = null;
+      }
+      this.removeChapters();
+
+      this.setupThumbnail();
+      this.setupClickOverlay();
+      this.setupCaptions();
+      this.setupChapters();
+      this.loadPreviewFrames();
+      this.bindPlayerEvents();
+
+      this.updatePlayButton();
+      this.updateCenterButton();
+      this.updateProgress();
+      this.updateTime();
+      this.updateSpeedButton();
+      this.updateMuteButton();
+      this.updateVolumeSlider();
+      this.updatePictureInPictureButton();
+      this.showControls();
+    }
+
+    /**
+     * Add a toolbar button that opens a menu of radio items. `getItems()`
+     * returns `[{ value, label, checked }]` and is called each time the
+     * menu opens; `onSelect(value)` handles the user's pick.
+     */
+    addMenuButton({ className, label, content, getItems, onSelect, before }) {
+      const container = document.createElement("div");
+      container.className = "vp-menu-container";
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "vp-btn " + className;
+      button.setAttribute("aria-label", label);
+      button.setAttribute("aria-haspopup", "menu");
+      button.setAttribute("aria-expanded", "false");
+      button.innerHTML = content;
+
+      const menu = document.createElement("div");
+      menu.className = "vp-menu";
+      menu.setAttribute("role", "menu");
+      menu.setAttribute("aria-label", label);
+      menu.hidden = true;
+
+      container.appendChild(button);
+      container.appendChild(menu);
+      const next = before || this.fullscreenButton;
+      next.parentNode.insertBefore(container, next);
+
+      const close = () => {
+        menu.hidden = true;
+        button.setAttribute("aria-expanded", "false");
+      };
+
+      const open = () => {
+        menu.innerHTML = "";
+        getItems().forEach((item) => {
+          const option = document.createElement("button");
+          option.type = "button";
+          option.className = "vp-menu-item";
+          option.setAttribute("role", "menuitemradio");
+          option.setAttribute("aria-checked", item.checked ? "true" : "false");
+          option.textContent = item.label;
+          option.addEventListener("click", (e) => {
+            e.stopPropagation();
+            close();
+            button.focus();
+            onSelect(item.value);
+          });
+          menu.appendChild(option);
+        });
+        menu.hidden = false;
+        button.setAttribute("aria-expanded", "true");
+        const checked =
+          menu.querySelector('[aria-checked="true"]') || menu.firstChild;
+        if (checked) checked.focus();
+      };
+
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (menu.hidden) {
+          open();
+        } else {
+          close();
+        }
+      });
+
+      // Close when focus leaves the menu
+      container.addEventListener("focusout", (e) => {
+        if (!container.contains(e.relatedTarget)) {
+          close();
+        }
+      });
+
+      menu.addEventListener("keydown", (e) => {
+        const items = Array.prototype.slice.call(menu.children);
+        const index = items.indexOf(document.activeElement);
+        if (e.key === "Escape") {
+          close();
+          button.focus();
+        } else if (e.key === "ArrowDown" && items.length) {
+          items[(index + 1) % items.length].focus();
+        } else if (e.key === "ArrowUp" && items.length) {
+          items[(index - 1 + items.length) % items.length].focus();
+        } else {
+          return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+      });
+
+      return { button, menu, container, open, close };
+    }
+
+    setupSpeedMenu() {
+      this.speedMenu = this.addMenuButton({
+        className: "vp-speed-button",
+        label: "Playback speed",
+        content: `
+          <span class="vp-speed-value" aria-hidden="true">1x</span>
+          <span class="vp-sr-only">Playback speed</span>
+        `,
+        getItems: () =>
+          this.player.getAvailablePlaybackRates().map((rate) => ({
+            value: rate,
+            label: rate === 1 ? "Normal" : rate + "x",
+            checked: rate === this.player.getPlaybackRate(),
+          })),
+        onSelect: (rate) => this.player.setPlaybackRate(rate),
+      });
+      this.updateSpeedButton();
+    }
+
+    updateSpeedButton() {
+      if (!this.speedMenu) return;
+      const rate = this.player.getPlaybackRate();
+      this.speedMenu.button.querySelector(".vp-speed-value").textContent =
+        rate + "x";
+      this.speedMenu.button.setAttribute(
+        "aria-label",
+        "Playback speed: " + (rate === 1 ? "Normal" : rate + "x")
+      );
+    }
+
+    setupCaptions() {
+      const tracks = this.options.captions;
+      if (!tracks || !tracks.length) {
+        return;
+      }
+
+      this.captions = new CaptionsManager(this.container, tracks);
+      this.captionsMenu = this.addMenuButton({
+        className: "vp-captions-button",
+        label: "Subtitles/closed captions",
+        content: `
+          <span class="vp-icon-captions" aria-hidden="true">CC</span>
+          <span class="vp-sr-only">Subtitles</span>
+        `,
+        getItems: () =>
+          [
+            { value: null, label: "Off", checked: !this.captions.activeTrack },
+          ].concat(
+            this.captions.tracks.map((track) => ({
+              value: track,
+              label: track.label || track.srclang,
+              checked: track === this.captions.activeTrack,
+            }))
+          ),
+        onSelect: (track) => this.captions.select(track, true),
+        // Keep CC left of the speed menu when rebuilt for a new source
+        before: this.speedMenu ? this.speedMenu.container : null,
+      });
+
+      this.captions.onChange = (track) => {
+        const button = this.captionsMenu.button;
+        button.classList.toggle("active", !!track);
+        button.setAttribute("aria-pressed", track ? "true" : "false");
+      };
+      this.captions.select(this.captions.getInitialTrack(), false);
+    }
+
+    /**
+     * Load `options.chapters`, then draw markers on the progress bar, show
+     * the current chapter's title and add a chapter menu
+     */
+    setupChapters() {
+      if (!this.options.chapters) {
+        return;
+      }
+
+      const player = this.player;
+      loadChapters(this.options.chapters)
+        .then((chapters) => {
+          // The source may have been switched while loading
+          if (this.player !== player || !chapters.length) {
+            return;
+          }
+          this.chapters = chapters;
+
+          this.chapterMarkers = document.createElement("div");
+          this.chapterMarkers.className = "vp-chapter-markers";
+          this.chapterMarkers.setAttribute("aria-hidden", "true");
+          this.progressBar.insertBefore(
+            this.chapterMarkers,
+            this.progressBarFill.nextSibling
+          );
+          this.renderChapterMarkers();
+
+          this.chapterTitle = document.createElement("span");
+          this.chapterTitle.className = "vp-chapter-title";
+          const time = this.controlsElement.querySelector(".vp-time");
+          time.parentNode.insertBefore(this.chapterTitle, time.nextSibling);
+
+          this.chaptersMenu = this.addMenuButton({
+            className: "vp-chapters-button",
+            label: "Chapters",
+            content: `
+              ${this.icon("chapters", "vp-icon-chapters")}
+              <span class="vp-sr-only">Chapters</span>
+            `,
+            getItems: () =>
+              this.chapters.map((chapter) => ({
+                value: chapter,
+                label:
+                  formatTime(Math.max(0, chapter.start - player.clipStart)) +
+                  "  " +
+                  chapter.title,
+                checked: chapter === this.currentChapter,
+              })),
+            onSelect: (chapter) => this.player.setCurrentTime(chapter.start),
+            before: (this.captionsMenu || this.speedMenu).container,
+          });
+
+          this.updateChapter();
+        })
+        .catch((error) => {
+          console.warn("VideoPlayer: could not load chapters:", error.message);
+        });
+    }
+
+    /**
+     * Position the chapter markers on the clip's timeline; called again
+     * once the duration is known
+     */
+    renderChapterMarkers() {
+      if (!this.chapterMarkers) return;
+      this.chapterMarkers.innerHTML = "";
+      const duration = this.player.getClipDuration();
+      if (!duration) return;
+      this.chapters.forEach((chapter) => {
+        const offset = chapter.start - this.player.clipStart;
+        // No marker at the very start or outside the clip
+        if (offset <= 0 || offset >= duration) return;
+        const marker = document.createElement("div");
+        marker.className = "vp-chapter-marker";
+        marker.style.left = (offset / duration) * 100 + "%";
+        this.chapterMarkers.appendChild(marker);
+      });
+    }
+
+    updateChapter() {
+      const chapter = findChapter(this.chapters, this.player.getCurrentTime());
+      if (chapter === this.currentChapter) return;
+      this.currentChapter = chapter;
+      if (this.chapterTitle) {
+        this.chapterTitle.textContent = chapter ? chapter.title : "";
+      }
+      if (this.onChapterChange) {
+        this.onChapterChange(chapter);
+      }
+    }
+
+    removeChapters() {
+      [
+        this.chaptersMenu ? this.chaptersMenu.container : null,
+        this.chapterMarkers,
+        this.chapterTitle,
+      ].forEach((element) => {
+        if (element) element.remove();
       });
+      this.chaptersMenu = null;
+      this.chapterMarkers = null;
+      this.chapterTitle = null;
+      this.chapters = [];
+      if (this.currentChapter) {
+        this.currentChapter = null;
+        if (this.onChapterChange) {
+          this.onChapterChange(null);
+        }
+      }
+    }
 
-      video.addEventListener("error", (e) => {
-        this.emit("error", e);
+    /**
+     * Show the time (and chapter, and a preview frame when available)
+     * under the pointer while hovering the progress bar
+     */
+    setupSeekPreview() {
+      const preview = document.createElement("div");
+      preview.className = "vp-seek-preview";
+      preview.setAttribute("aria-hidden", "true");
+      preview.hidden = true;
+      preview.innerHTML = `
+        <div class="vp-seek-preview-frame" hidden></div>
+        <span class="vp-seek-preview-chapter"></span>
+        <span class="vp-seek-preview-time">0:00</span>
+      `;
+      this.progressBar.appendChild(preview);
+      this.seekPreview = preview;
+
+      this.progressBar.addEventListener("pointermove", (e) => {
+        this.showSeekPreview(e.clientX);
+      });
+      this.progressBar.addEventListener("pointerleave", () => {
+        preview.hidden = true;
       });
 
-      this.videoElement = video;
-      this.playerElement = video;
+      this.loadPreviewFrames();
     }
 
-    play() {
-      super.play();
-      if (this.videoElement) {
-        this.videoElement.play();
+    /**
+     * Load the source's storyboard (`previewThumbnails`). Video files
+     * without one get frames generated on first hover.
+     */
+    loadPreviewFrames() {
+      this.storyboard = null;
+      if (this.framePreviewer) {
+        this.framePreviewer.destroy();
+        this.framePreviewer = null;
+      }
+      if (!this.options.previewThumbnails) {
+        return;
       }
+
+      const player = this.player;
+      loadStoryboard(this.options.previewThumbnails)
+        .then((frames) => {
+          if (this.player === player) {
+            this.storyboard = frames;
+          }
+        })
+        .catch((error) => {
+          console.warn(
+            "VideoPlayer: could not load preview thumbnails:",
+            error.message
+          );
+        });
     }
 
-    pause() {
-      super.pause();
-      if (this.videoElement) {
-        this.videoElement.pause();
-      }
+    showSeekPreview(clientX) {
+      const rect = this.progressBar.getBoundingClientRect();
+      const duration = this.player.getClipDuration();
+      if (!rect.width || !duration) return;
+
+      const fraction = Math.max(
+        0,
+        Math.min(1, (clientX - rect.left) / rect.width)
+      );
+      const time = this.player.clipStart + fraction * duration;
+      const chapter = findChapter(this.chapters, time);
+
+      const preview = this.seekPreview;
+      preview.hidden = false;
+      preview.querySelector(".vp-seek-preview-time").textContent = formatTime(
+        fraction * duration
+      );
+      preview.querySelector(".vp-seek-preview-chapter").textContent = chapter
+        ? chapter.title
+        : "";
+      this.renderPreviewFrame(time);
+
+      // Keep the tooltip within the bar
+      const half = preview.offsetWidth / 2;
+      const left = Math.max(
+        half,
+        Math.min(rect.width - half, fraction * rect.width)
+      );
+      preview.style.left = left + "px";
     }
 
-    setCurrentTime(time) {
-      super.setCurrentTime(time);
-      if (this.videoElement) {
-        this.videoElement.currentTime = time;
+    renderPreviewFrame(time) {
+      const frame = this.seekPreview.querySelector(".vp-seek-preview-frame");
+      const show = (url, width, height, x, y) => {
+        frame.hidden = false;
+        frame.style.backgroundImage = `url("${url}")`;
+        frame.style.backgroundPosition = `-${x}px -${y}px`;
+        frame.style.width = width + "px";
+        frame.style.height = height + "px";
+      };
+
+      if (this.storyboard) {
+        const tile = this.storyboard.find(
+          (cue) => time >= cue.start && time < cue.end
+        );
+        if (tile) {
+          show(
+            tile.url,
+            tile.width || PREVIEW_WIDTH,
+            tile.height || Math.round((PREVIEW_WIDTH * 9) / 16),
+            tile.x,
+            tile.y
+          );
+        } else {
+          frame.hidden = true;
+        }
+        return;
       }
-    }
 
-    setVolume(volume) {
-      super.setVolume(volume);
-      if (this.videoElement) {
-        this.videoElement.volume = volume;
+      if (
+        this.player.source.type === "mp4" &&
+        !this.options.previewThumbnails
+      ) {
+        if (!this.framePreviewer) {
+          this.framePreviewer = new FramePreviewer(this.player.source.id);
+        }
+        if (!this.framePreviewer.failed) {
+          this.framePreviewer.request(time, (image) => {
+            show(image.url, image.width, image.height, 0, 0);
+          });
+          return;
+        }
       }
+      frame.hidden = true;
     }
 
-    setMuted(muted) {
-      super.setMuted(muted);
-      if (this.videoElement) {
-        this.videoElement.muted = muted;
-      }
+    // ==========================================================================
+    // Picture-in-Picture
+    // ==========================================================================
+
+    setupPictureInPicture() {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "vp-btn vp-pip";
+      button.innerHTML = `
+        ${this.icon("pictureInPicture", "vp-icon-pip")}
+        <span class="vp-sr-only">Picture-in-Picture</span>
+      `;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.togglePictureInPicture();
+      });
+      this.fullscreenButton.parentNode.insertBefore(
+        button,
+        this.fullscreenButton
+      );
+      this.pipButton = button;
+      this.updatePictureInPictureButton();
     }
 
-    getDuration() {
-      if (this.videoElement) {
-        return this.videoElement.duration || this.duration;
-      }
-      return this.duration;
+    togglePictureInPicture() {
+      const player = this.player;
+      const request = player.isPictureInPicture
+        ? player.exitPictureInPicture()
+        : player.enterPictureInPicture();
+      Promise.resolve(request).catch((error) => {
+        console.warn("VideoPlayer: Picture-in-Picture failed:", error);
+      });
     }
 
-    getCurrentTime() {
-      if (this.videoElement) {
-        return this.videoElement.currentTime;
+    /**
+     * The button is hidden for players without Picture-in-Picture (YouTube)
+     */
+    updatePictureInPictureButton() {
+      if (!this.pipButton) return;
+      const active = this.player.isPictureInPicture;
+      this.pipButton.hidden = !this.player.supportsPictureInPicture();
+      this.pipButton.classList.toggle("active", active);
+      this.pipButton.setAttribute("aria-pressed", active ? "true" : "false");
+      this.pipButton.setAttribute(
+        "aria-label",
+        active ? "Exit Picture-in-Picture" : "Enter Picture-in-Picture"
+      );
+    }
+
+    setupPlaylistButtons() {
+      if (!this.options.playlist) {
+        return;
       }
-      return this.currentTime;
+
+      const createButton = (className, label, icon, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "vp-btn " + className;
+        button.setAttribute("aria-label", label);
+        button.innerHTML = `
+          ${this.icon(icon)}
+          <span class="vp-sr-only">${label}</span>
+        `;
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          onClick();
+        });
+        return button;
+      };
+
+      this.previousButton = createButton(
+        "vp-previous",
+        "Previous video",
+        "previous",
+        () => this.onPrevious && this.onPrevious()
+      );
+      this.nextButton = createButton(
+        "vp-next",
+        "Next video",
+        "next",
+        () => this.onNext && this.onNext()
+      );
+      this.playButton.parentNode.insertBefore(
+        this.previousButton,
+        this.playButton
+      );
+      this.playButton.parentNode.insertBefore(
+        this.nextButton,
+        this.playButton.nextSibling
+      );
     }
 
-    destroy() {
-      if (this.videoElement) {
-        this.videoElement.pause();
-        this.videoElement.src = "";
-        this.videoElement.load();
+    updatePlaylistButtons(hasPrevious, hasNext) {
+      if (this.previousButton) {
+        this.previousButton.disabled = !hasPrevious;
+      }
+      if (this.nextButton) {
+        this.nextButton.disabled = !hasNext;
       }
-      super.destroy();
     }
-  }
 
-  // ============================================================================
-  // UI CONTROLS
-  // ============================================================================
+    /**
+     * Show an "Up next" card counting down `seconds`, then call `onConfirm`
+     * unless the viewer cancels it
+     */
+    showUpNext(item, seconds, onConfirm) {
+      this.cancelUpNext();
+
+      const card = document.createElement("div");
+      card.className = "vp-up-next";
+      card.setAttribute("role", "status");
+      card.innerHTML = `
+        <span class="vp-up-next-label">
+          Up next in <span class="vp-up-next-count">${seconds}</span>s
+        </span>
+        <span class="vp-up-next-title"></span>
+        <span class="vp-up-next-actions">
+          <button type="button" class="vp-up-next-play">Play now</button>
+          <button type="button" class="vp-up-next-cancel">Cancel</button>
+        </span>
+      `;
+      card.querySelector(".vp-up-next-title").textContent =
+        (item && item.title) || "Next video";
 
-  class UIControls {
-    constructor(container, player, options) {
-      this.container = container;
-      this.player = player;
-      this.options = options;
-      this.controlsElement = null;
-      this.playButton = null;
-      this.progressBar = null;
-      this.progressBarFill = null;
-      this.muteButton = null;
-      this.fullscreenButton = null;
-      this.centerButton = null;
-      this.thumbnailElement = null;
-      this.thumbnailOverlay = null;
-      this.clickOverlay = null;
-      this.isDragging = false;
-      this.hasPlayedOnce = false; // Track if video has been played at least once
-      this.init();
+      const confirm = () => {
+        this.cancelUpNext();
+        onConfirm();
+      };
+      card.addEventListener("click", (e) => e.stopPropagation());
+      card.querySelector(".vp-up-next-play").addEventListener("click", confirm);
+      card
+        .querySelector(".vp-up-next-cancel")
+        .addEventListener("click", () => this.cancelUpNext());
+
+      let remaining = seconds;
+      const count = card.querySelector(".vp-up-next-count");
+      this.upNextTimer = setInterval(() => {
+        remaining -= 1;
+        if (remaining <= 0) {
+          confirm();
+        } else {
+          count.textContent = remaining;
+        }
+      }, 1000);
+
+      this.container.appendChild(card);
+      this.upNextElement = card;
     }
 
-    init() {
-      this.createControls();
-      this.attachEvents();
-      this.setupThumbnail();
-      this.setupClickOverlay();
+    /**
+     * Offer to continue from `time`; `onResume` is called if the viewer
+     * accepts
+     */
+    showResumePrompt(time, onResume) {
+      this.hideResumePrompt();
+
+      const prompt = document.createElement("div");
+      prompt.className = "vp-resume-prompt";
+      prompt.setAttribute("role", "dialog");
+      prompt.setAttribute("aria-label", "Resume playback");
+      prompt.innerHTML = `
+        <button type="button" class="vp-resume-button">
+          Resume from ${formatTime(time)}?
+        </button>
+        <button type="button" class="vp-resume-dismiss" aria-label="Dismiss">
+          ${this.icon("close")}
+        </button>
+      `;
+      prompt.addEventListener("click", (e) => e.stopPropagation());
+      prompt
+        .querySelector(".vp-resume-button")
+        .addEventListener("click", () => {
+          this.hideResumePrompt();
+          onResume();
+        });
+      prompt
+        .querySelector(".vp-resume-dismiss")
+        .addEventListener("click", () => this.hideResumePrompt());
+
+      this.container.appendChild(prompt);
+      this.resumePrompt = prompt;
+    }
+
+    hideResumePrompt() {
+      if (this.resumePrompt) {
+        this.resumePrompt.remove();
+        this.resumePrompt = null;
+      }
+    }
+
+    cancelUpNext() {
+      if (this.upNextTimer) {
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = null;
+      }
+      if (this.upNextElement) {
+        this.upNextElement.remove();
+        this.upNextElement = null;
+      }
     }
 
     createControls() {
@@ -867,8 +5407,8 @@
                   aria-label="Play video" 
                   aria-pressed="false"
                   type="button">
-            <span class="vp-icon-play" aria-hidden="true">â–¶</span>
-            <span class="vp-icon-pause" aria-hidden="true">â¸</span>
+            ${this.icon("play", "vp-icon-play")}
+            ${this.icon("pause", "vp-icon-pause")}
             <span class="vp-sr-only">Play</span>
           </button>
           <div class="vp-time" role="timer" aria-live="polite" aria-atomic="true">
@@ -882,8 +5422,8 @@
                     aria-label="Mute audio" 
                     aria-pressed="false"
                     type="button">
-              <span class="vp-icon-volume-on" aria-hidden="true">ðŸ”Š</span>
-              <span class="vp-icon-volume-off" aria-hidden="true">ðŸ”‡</span>
+              ${this.icon("volume", "vp-icon-volume-on")}
+              ${this.icon("muted", "vp-icon-volume-off")}
               <span class="vp-sr-only">Mute</span>
             </button>
             <div class="vp-volume-slider-wrapper">
@@ -904,8 +5444,8 @@
           <button class="vp-btn vp-fullscreen" 
                   aria-label="Enter fullscreen mode" 
                   type="button">
-            <span class="vp-icon-fullscreen" aria-hidden="true">â›¶</span>
-            <span class="vp-icon-exit-fullscreen" aria-hidden="true">â›¶</span>
+            ${this.icon("fullscreen", "vp-icon-fullscreen")}
+            ${this.icon("exitFullscreen", "vp-icon-exit-fullscreen")}
             <span class="vp-sr-only">Fullscreen</span>
           </button>
         </div>
@@ -925,8 +5465,8 @@
         centerButton.setAttribute("aria-pressed", "false");
         centerButton.type = "button";
         centerButton.innerHTML = `
-          <span class="vp-center-icon-play" aria-hidden="true">â–¶</span>
-          <span class="vp-center-icon-pause" aria-hidden="true">â¸</span>
+          ${this.icon("play", "vp-center-icon-play")}
+          ${this.icon("pause", "vp-center-icon-pause")}
           <span class="vp-sr-only">Play video</span>
         `;
         this.container.appendChild(centerButton);
@@ -951,6 +5491,13 @@
       // Center button is already appended to container if enabled
     }
 
+    /**
+     * Markup of icon `name` (see the ICONS section)
+     */
+    icon(name, className) {
+      return getIcon(name, this.options.icons, className);
+    }
+
     injectStyles() {
       // Check if CSS file is already loaded or styles are injected
       if (
@@ -988,11 +5535,15 @@
     }
 
     setupThumbnail() {
-      const thumbnail = document.createElement("img");
+      // Server-rendered markup may already have the thumbnail and overlay
+      const rendered = this.container.querySelector(".vp-thumbnail");
+      const thumbnail = rendered || document.createElement("img");
       thumbnail.className = "vp-thumbnail";
       thumbnail.alt = "Video thumbnail";
       this.thumbnailElement = thumbnail;
-      this.container.insertBefore(thumbnail, this.container.firstChild);
+      if (!rendered) {
+        this.container.insertBefore(thumbnail, this.container.firstChild);
+      }
 
       const wrapper = this.container.closest(".vp-wrapper");
 
@@ -1005,7 +5556,9 @@
 
         // Create overlay if overlay option is set
         if (this.options.thumbnailOverlay) {
-          const overlay = document.createElement("div");
+          const overlay =
+            this.container.querySelector(".vp-thumbnail-overlay") ||
+            document.createElement("div");
           overlay.className = "vp-thumbnail-overlay";
           overlay.setAttribute("data-overlay", this.options.thumbnailOverlay);
           this.container.insertBefore(overlay, thumbnail);
@@ -1055,10 +5608,7 @@
     setupClickOverlay() {
       // Only add click overlay for iframe-based players (YouTube, Vimeo)
       // HTML5 video elements handle clicks natively
-      if (
-        this.player.source.type === "youtube" ||
-        this.player.source.type === "vimeo"
-      ) {
+      if (SourceDetector.usesIframe(this.player.source)) {
         const clickOverlay = document.createElement("div");
         clickOverlay.className = "vp-click-overlay";
         clickOverlay.setAttribute("aria-hidden", "true");
@@ -1094,6 +5644,9 @@
         // Handle clicks on overlay
         clickOverlay.addEventListener("click", (e) => {
           e.stopPropagation();
+          if (this.isTouchClick()) {
+            return;
+          }
           // Only toggle if not clicking on controls or center button
           const isControlClick = e.target.closest(".vp-controls");
           const isCenterButtonClick = e.target.closest(".vp-center-button");
@@ -1120,39 +5673,12 @@
         }
       });
 
-      // Progress bar
+      // Progress bar (click and drag, for mouse, touch and pen)
       this.progressBar.addEventListener("click", (e) => {
         e.stopPropagation(); // Prevent triggering container click
-        const rect = this.progressBar.getBoundingClientRect();
-        const percent = (e.clientX - rect.left) / rect.width;
-        const time = percent * this.player.getDuration();
-        this.player.setCurrentTime(time);
-      });
-
-      // Progress bar drag
-      let isDragging = false;
-      this.progressBar.addEventListener("mousedown", (e) => {
-        isDragging = true;
-        const rect = this.progressBar.getBoundingClientRect();
-        const percent = (e.clientX - rect.left) / rect.width;
-        const time = percent * this.player.getDuration();
-        this.player.setCurrentTime(time);
-      });
-
-      document.addEventListener("mousemove", (e) => {
-        if (isDragging) {
-          const rect = this.progressBar.getBoundingClientRect();
-          const percent = Math.max(
-            0,
-            Math.min(1, (e.clientX - rect.left) / rect.width)
-          );
-          const time = percent * this.player.getDuration();
-          this.player.setCurrentTime(time);
-        }
       });
-
-      document.addEventListener("mouseup", () => {
-        isDragging = false;
+      this.attachSlider(this.progressBar, (fraction) => {
+        this.seekToFraction(fraction);
       });
 
       // Mute button
@@ -1167,57 +5693,14 @@
       if (this.volumeSlider) {
         this.volumeSlider.addEventListener("click", (e) => {
           e.stopPropagation();
-          const rect = this.volumeSlider.getBoundingClientRect();
-          const percent = Math.max(
-            0,
-            Math.min(1, (e.clientX - rect.left) / rect.width)
-          );
-          const volume = percent;
-          this.player.setVolume(volume);
-          this.player.setMuted(volume === 0);
-          this.updateMuteButton();
-          this.updateVolumeSlider();
         });
-
-        // Volume slider drag
-        let isVolumeDragging = false;
-        this.volumeSlider.addEventListener("mousedown", (e) => {
-          isVolumeDragging = true;
-          e.stopPropagation();
-          const rect = this.volumeSlider.getBoundingClientRect();
-          const percent = Math.max(
-            0,
-            Math.min(1, (e.clientX - rect.left) / rect.width)
-          );
-          const volume = percent;
+        this.attachSlider(this.volumeSlider, (volume) => {
           this.player.setVolume(volume);
           this.player.setMuted(volume === 0);
           this.updateMuteButton();
           this.updateVolumeSlider();
         });
 
-        const volumeMouseMoveHandler = (e) => {
-          if (isVolumeDragging) {
-            const rect = this.volumeSlider.getBoundingClientRect();
-            const percent = Math.max(
-              0,
-              Math.min(1, (e.clientX - rect.left) / rect.width)
-            );
-            const volume = percent;
-            this.player.setVolume(volume);
-            this.player.setMuted(volume === 0);
-            this.updateMuteButton();
-            this.updateVolumeSlider();
-          }
-        };
-
-        const volumeMouseUpHandler = () => {
-          isVolumeDragging = false;
-        };
-
-        document.addEventListener("mousemove", volumeMouseMoveHandler);
-        document.addEventListener("mouseup", volumeMouseUpHandler);
-
         // Show volume slider on hover
         if (this.volumeContainer) {
           this.volumeContainer.addEventListener("mouseenter", () => {
@@ -1253,6 +5736,10 @@
 
       // Click anywhere on video to play/pause (except controls)
       this.container.addEventListener("click", (e) => {
+        // Taps are handled as gestures instead
+        if (this.isTouchClick()) {
+          return;
+        }
         // Only trigger if click is not on controls, thumbnail, or center button
         const isControlClick = e.target.closest(".vp-controls");
         const isThumbnailClick = e.target.closest(".vp-thumbnail");
@@ -1274,50 +5761,435 @@
         });
       }
 
-      // Keyboard controls
+      // Keyboard controls
+      const wrapper = this.container.closest(".vp-wrapper");
+      if (wrapper) {
+        wrapper.setAttribute("tabindex", "0");
+        wrapper.addEventListener("keydown", (e) => {
+          if (e.key === "Escape" && this.shortcutsOverlay) {
+            e.preventDefault();
+            this.toggleShortcuts();
+            return;
+          }
+          if (
+            e.ctrlKey ||
+            e.altKey ||
+            e.metaKey ||
+            (e.target !== wrapper &&
+              e.target !== this.progressBar &&
+              !e.target.closest(".vp-controls")) ||
+            e.target.closest(".vp-menu-container")
+          ) {
+            return;
+          }
+          // Let focused buttons handle their own activation keys
+          if (
+            (e.key === " " || e.key === "Enter") &&
+            e.target.closest("button")
+          ) {
+            return;
+          }
+          const shortcut = this.keymap.get(normalizeKey(e.key));
+          if (shortcut) {
+            e.preventDefault();
+            this.runShortcut(shortcut);
+          }
+        });
+      }
+
+      this.bindPlayerEvents();
+    }
+
+    /**
+     * Drive a slider from pointer input. The pointer is captured on press
+     * so dragging keeps working outside the element (and on touch screens).
+     */
+    attachSlider(element, onChange) {
+      const update = (e) => {
+        const rect = element.getBoundingClientRect();
+        onChange(
+          Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width))
+        );
+      };
+
+      element.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        if (element.setPointerCapture) {
+          element.setPointerCapture(e.pointerId);
+        }
+        element.classList.add("vp-dragging");
+        update(e);
+      });
+      element.addEventListener("pointermove", (e) => {
+        if (
+          element.hasPointerCapture &&
+          element.hasPointerCapture(e.pointerId)
+        ) {
+          update(e);
+        }
+      });
+      ["pointerup", "pointercancel"].forEach((type) => {
+        element.addEventListener(type, () => {
+          element.classList.remove("vp-dragging");
+        });
+      });
+    }
+
+    seekBy(seconds) {
+      const player = this.player;
+      const clipEnd = player.clipStart + player.getClipDuration();
+      player.setCurrentTime(
+        Math.max(
+          player.clipStart,
+          Math.min(clipEnd, player.getCurrentTime() + seconds)
+        )
+      );
+    }
+
+    // ==========================================================================
+    // Touch gestures
+    // ==========================================================================
+
+    /**
+     * Touch gestures on the video: tap toggles the controls, double-tap on
+     * the left/right half skips back/forward (further taps keep skipping),
+     * and swiping down leaves fullscreen.
+     */
+    setupGestures() {
+      let start = null;
+
+      this.container.addEventListener("pointerdown", (e) => {
+        start =
+          e.pointerType === "touch" && !this.isGestureTarget(e.target)
+            ? { x: e.clientX, y: e.clientY }
+            : null;
+      });
+
+      this.container.addEventListener("pointerup", (e) => {
+        if (e.pointerType !== "touch" || !start) return;
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        start = null;
+        this.lastTouchTime = Date.now();
+
+        const wrapper = this.container.closest(".vp-wrapper");
+        if (
+          dy > SWIPE_DISTANCE &&
+          Math.abs(dx) < dy / 2 &&
+          wrapper &&
+          wrapper.classList.contains("fullscreen")
+        ) {
+          this.toggleFullscreen();
+          return;
+        }
+        if (Math.abs(dx) < TAP_SLOP && Math.abs(dy) < TAP_SLOP) {
+          this.handleTap(e.clientX);
+        }
+      });
+
+      this.container.addEventListener("pointercancel", () => {
+        start = null;
+      });
+    }
+
+    /**
+     * Targets with their own touch handling (buttons, menus, cards)
+     */
+    isGestureTarget(target) {
+      return !!target.closest(
+        ".vp-controls, .vp-thumbnail, .vp-center-button, .vp-up-next, " +
+          ".vp-resume-prompt, .vp-shortcuts"
+      );
+    }
+
+    /**
+     * Whether a click was synthesized from a tap the gestures handled
+     */
+    isTouchClick() {
+      return Date.now() - this.lastTouchTime < CLICK_AFTER_TOUCH_DELAY;
+    }
+
+    handleTap(clientX) {
+      const rect = this.container.getBoundingClientRect();
+      const side = clientX < rect.left + rect.width / 2 ? "left" : "right";
+      const now = Date.now();
+      const last = this.lastTap;
+      this.lastTap = { time: now, side };
+
+      if (last && last.side === side && now - last.time < DOUBLE_TAP_DELAY) {
+        clearTimeout(this.tapTimer);
+        this.tapTimer = null;
+        this.seekBy(side === "left" ? -SEEK_STEP : SEEK_STEP);
+        this.showSeekRipple(side);
+        return;
+      }
+
+      // Wait to see whether this tap starts a double-tap
+      clearTimeout(this.tapTimer);
+      this.tapTimer = setTimeout(() => {
+        this.tapTimer = null;
+        this.toggleControlsVisibility();
+      }, DOUBLE_TAP_DELAY);
+    }
+
+    showSeekRipple(side) {
+      const ripple = document.createElement("div");
+      ripple.className = "vp-seek-ripple vp-seek-ripple-" + side;
+      ripple.setAttribute("aria-hidden", "true");
+      ripple.textContent =
+        side === "left" ? `\u00AB ${SEEK_STEP}s` : `${SEEK_STEP}s \u00BB`;
+      this.container
+        .querySelectorAll(".vp-seek-ripple")
+        .forEach((previous) => previous.remove());
+      this.container.appendChild(ripple);
+      setTimeout(() => ripple.remove(), RIPPLE_DURATION);
+    }
+
+    toggleControlsVisibility() {
+      if (this.controlsVisible) {
+        this.hideControls();
+      } else {
+        this.showControls();
+      }
+    }
+
+    // ==========================================================================
+    // Idle detection
+    // ==========================================================================
+
+    /**
+     * Fade the controls out after `controlsTimeout` seconds without pointer
+     * or keyboard activity while playing. 0 keeps them visible.
+     */
+    setupIdleDetection() {
+      const wrapper = this.container.closest(".vp-wrapper");
+      if (!wrapper) return;
+
+      const onActivity = (e) => {
+        // Focus left on a button by a click shouldn't keep the controls up
+        if (e.type === "keydown" || e.type === "pointerdown") {
+          this.keyboardFocus = e.type === "keydown";
+        }
+        // Touch shows and hides the controls with taps instead
+        if (e.pointerType !== "touch") {
+          this.showControls();
+        }
+      };
+      wrapper.addEventListener("pointermove", onActivity);
+      wrapper.addEventListener("pointerdown", onActivity);
+      wrapper.addEventListener("keydown", onActivity);
+      wrapper.addEventListener("focusin", onActivity);
+      wrapper.addEventListener("pointerleave", (e) => {
+        if (e.pointerType === "mouse" && !this.player.isPaused) {
+          this.hideControls();
+        }
+      });
+    }
+
+    showControls() {
+      this.setControlsVisible(true);
+      this.resetIdleTimer();
+    }
+
+    hideControls() {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+      this.setControlsVisible(false);
+    }
+
+    setControlsVisible(visible) {
+      if (visible === this.controlsVisible) return;
+      this.controlsVisible = visible;
+      const wrapper = this.container.closest(".vp-wrapper");
+      if (wrapper) {
+        wrapper.classList.toggle("vp-controls-hidden", !visible);
+      }
+      if (this.onControlsVisibilityChange) {
+        this.onControlsVisibilityChange(visible);
+      }
+    }
+
+    resetIdleTimer() {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+      const timeout = this.options.controlsTimeout;
+      if (!(timeout > 0) || this.player.isPaused) return;
+
+      this.idleTimer = setTimeout(() => {
+        this.idleTimer = null;
+        // Stay up while the viewer is using a menu, dragging a slider or
+        // tabbing through the controls
+        if (
+          this.controlsElement &&
+          ((this.keyboardFocus &&
+            this.controlsElement.matches(":focus-within")) ||
+            this.controlsElement.querySelector(
+              ".vp-menu:not([hidden]), .vp-dragging"
+            ))
+        ) {
+          this.resetIdleTimer();
+          return;
+        }
+        this.hideControls();
+      }, timeout * 1000);
+    }
+
+    runShortcut(shortcut) {
+      const action = shortcut.action;
+      const player = this.player;
+      const clipEnd = player.clipStart + player.getClipDuration();
+      const frameStep = () => {
+        if (!player.isPaused) player.pause();
+        return FRAME_STEP;
+      };
+
+      switch (action) {
+        case "togglePlay":
+          if (player.isPaused) {
+            player.play();
+          } else {
+            player.pause();
+          }
+          break;
+        case "seekBackward":
+          this.seekBy(-SEEK_STEP);
+          break;
+        case "seekForward":
+          this.seekBy(SEEK_STEP);
+          break;
+        case "previousFrame":
+          player.setCurrentTime(player.getCurrentTime() - frameStep());
+          break;
+        case "nextFrame":
+          player.setCurrentTime(player.getCurrentTime() + frameStep());
+          break;
+        case "seekStart":
+          player.setCurrentTime(player.clipStart);
+          break;
+        case "seekEnd":
+          player.setCurrentTime(clipEnd);
+          break;
+        case "seekPercent":
+          this.seekToFraction(shortcut.fraction);
+          break;
+        case "volumeUp":
+        case "volumeDown": {
+          const step = action === "volumeUp" ? VOLUME_STEP : -VOLUME_STEP;
+          const current = player.isMuted ? 0 : player.volume;
+          const volume = Math.max(0, Math.min(1, current + step));
+          player.setVolume(volume);
+          player.setMuted(volume === 0);
+          this.updateMuteButton();
+          this.updateVolumeSlider();
+          break;
+        }
+        case "toggleMute":
+          player.setMuted(!player.isMuted);
+          this.updateMuteButton();
+          this.updateVolumeSlider();
+          break;
+        case "slower":
+        case "faster": {
+          const rates = player.getAvailablePlaybackRates();
+          const index = rates.indexOf(player.getPlaybackRate());
+          const next = index + (action === "faster" ? 1 : -1);
+          if (index !== -1 && next >= 0 && next < rates.length) {
+            player.setPlaybackRate(rates[next]);
+          }
+          break;
+        }
+        case "toggleCaptions": {
+          const captions = this.captions;
+          if (!captions) break;
+          if (captions.activeTrack) {
+            this.lastCaptionsTrack = captions.activeTrack;
+            captions.select(null, true);
+          } else {
+            // Turn back on the track that was showing, if it's still loaded
+            captions.select(
+              captions.tracks.indexOf(this.lastCaptionsTrack) !== -1
+                ? this.lastCaptionsTrack
+                : captions.getInitialTrack() || captions.tracks[0],
+              true
+            );
+          }
+          break;
+        }
+        case "toggleFullscreen":
+          this.toggleFullscreen();
+          break;
+        case "togglePictureInPicture":
+          if (player.supportsPictureInPicture()) {
+            this.togglePictureInPicture();
+          }
+          break;
+        case "showShortcuts":
+          this.toggleShortcuts();
+          break;
+      }
+    }
+
+    /**
+     * Show or hide the list of active keyboard shortcuts
+     */
+    toggleShortcuts() {
       const wrapper = this.container.closest(".vp-wrapper");
-      if (wrapper) {
-        wrapper.setAttribute("tabindex", "0");
-        wrapper.addEventListener("keydown", (e) => {
-          if (
-            e.target === wrapper ||
-            e.target === this.progressBar ||
-            e.target.closest(".vp-controls")
-          ) {
-            if (e.key === " " || e.key === "Enter") {
-              e.preventDefault();
-              if (this.player.isPaused) {
-                this.player.play();
-              } else {
-                this.player.pause();
-              }
-            } else if (e.key === "ArrowLeft") {
-              e.preventDefault();
-              this.player.setCurrentTime(
-                Math.max(0, this.player.getCurrentTime() - 10)
-              );
-            } else if (e.key === "ArrowRight") {
-              e.preventDefault();
-              this.player.setCurrentTime(
-                Math.min(
-                  this.player.getDuration(),
-                  this.player.getCurrentTime() + 10
-                )
-              );
-            } else if (e.key === "m" || e.key === "M") {
-              e.preventDefault();
-              this.player.setMuted(!this.player.isMuted);
-              this.updateMuteButton();
-            } else if (e.key === "f" || e.key === "F") {
-              e.preventDefault();
-              this.toggleFullscreen();
-            }
-          }
-        });
+      if (this.shortcutsOverlay) {
+        this.shortcutsOverlay.remove();
+        this.shortcutsOverlay = null;
+        if (wrapper) wrapper.focus();
+        return;
       }
 
-      // Player events
+      const keysByAction = {};
+      this.keymap.forEach(({ action }, key) => {
+        (keysByAction[action] = keysByAction[action] || []).push(
+          KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key)
+        );
+      });
+
+      const overlay = document.createElement("div");
+      overlay.className = "vp-shortcuts";
+      overlay.setAttribute("role", "dialog");
+      overlay.setAttribute("aria-label", "Keyboard shortcuts");
+      overlay.innerHTML = `
+        <div class="vp-shortcuts-header">
+          <span>Keyboard shortcuts</span>
+          <button type="button" class="vp-shortcuts-close" aria-label="Close">
+            ${this.icon("close")}
+          </button>
+        </div>
+        <dl class="vp-shortcuts-list"></dl>
+      `;
+      const list = overlay.querySelector(".vp-shortcuts-list");
+      Object.keys(SHORTCUT_ACTIONS).forEach((action) => {
+        const keys = keysByAction[action];
+        if (!keys) return;
+        const term = document.createElement("dt");
+        term.textContent =
+          action === "seekPercent" && keys.join("") === "0123456789"
+            ? "0 - 9"
+            : keys.join(" / ");
+        const description = document.createElement("dd");
+        description.textContent = SHORTCUT_ACTIONS[action];
+        list.appendChild(term);
+        list.appendChild(description);
+      });
+
+      overlay.addEventListener("click", (e) => e.stopPropagation());
+      overlay
+        .querySelector(".vp-shortcuts-close")
+        .addEventListener("click", () => this.toggleShortcuts());
+
+      this.container.appendChild(overlay);
+      this.shortcutsOverlay = overlay;
+      overlay.querySelector(".vp-shortcuts-close").focus();
+    }
+
+    bindPlayerEvents() {
       this.player.on("play", () => {
+        this.cancelUpNext();
         this.hasPlayedOnce = true; // Mark that video has been played
         this.updatePlayButton();
         this.updateCenterButton();
@@ -1325,6 +6197,7 @@
         this.updateControlsVisibility();
         const wrapper = this.container.closest(".vp-wrapper");
         if (wrapper) wrapper.classList.add("playing");
+        this.resetIdleTimer();
       });
 
       this.player.on("pause", () => {
@@ -1333,16 +6206,41 @@
         this.updateControlsVisibility();
         const wrapper = this.container.closest(".vp-wrapper");
         if (wrapper) wrapper.classList.remove("playing");
+        this.showControls();
       });
 
       this.player.on("timeupdate", () => {
         this.updateProgress();
         this.updateTime();
+        this.updateChapter();
+        if (this.captions) {
+          this.captions.update(this.player.getCurrentTime());
+        }
+      });
+
+      this.player.on("ratechange", () => {
+        this.updateSpeedButton();
+      });
+
+      this.player.on("volumechange", () => {
+        this.updateMuteButton();
+        this.updateVolumeSlider();
+      });
+
+      this.player.on("durationchange", () => {
+        this.updateProgress();
+        this.updateTime();
+        this.renderChapterMarkers();
       });
 
+      this.player.on("enterpip", () => this.updatePictureInPictureButton());
+      this.player.on("leavepip", () => this.updatePictureInPictureButton());
+
       this.player.on("ready", () => {
         this.updateTime();
+        this.renderChapterMarkers();
         this.updateVolumeSlider();
+        this.updatePictureInPictureButton();
         if (this.centerButton) {
           this.updateCenterButton();
         }
@@ -1408,11 +6306,21 @@
       }
     }
 
+    /**
+     * Seek to a fraction (0 to 1) of the progress bar, which spans the clip
+     */
+    seekToFraction(fraction) {
+      const clamped = Math.max(0, Math.min(1, fraction));
+      this.player.setCurrentTime(
+        this.player.clipStart + clamped * this.player.getClipDuration()
+      );
+    }
+
     updateProgress() {
-      const duration = this.player.getDuration();
-      const current = this.player.getCurrentTime();
-      if (duration > 0) {
-        const percent = (current / duration) * 100;
+      const duration = this.player.getClipDuration();
+      const current = this.player.getClipTime();
+      if (duration > 0 || current === 0) {
+        const percent = duration > 0 ? (current / duration) * 100 : 0;
         const roundedPercent = Math.round(percent);
         this.progressBarFill.style.width = percent + "%";
         this.progressBar.querySelector(".vp-progress-handle").style.left =
@@ -1424,22 +6332,15 @@
     }
 
     updateTime() {
-      const formatTime = (seconds) => {
-        if (!isFinite(seconds)) return "0:00";
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return mins + ":" + (secs < 10 ? "0" : "") + secs;
-      };
-
       const currentEl = this.controlsElement.querySelector(".vp-time-current");
       const durationEl =
         this.controlsElement.querySelector(".vp-time-duration");
 
       if (currentEl) {
-        currentEl.textContent = formatTime(this.player.getCurrentTime());
+        currentEl.textContent = formatTime(this.player.getClipTime());
       }
       if (durationEl) {
-        durationEl.textContent = formatTime(this.player.getDuration());
+        durationEl.textContent = formatTime(this.player.getClipDuration());
       }
     }
 
@@ -1512,6 +6413,19 @@
     }
 
     destroy() {
+      this.cancelUpNext();
+      this.hideResumePrompt();
+      if (this.shortcutsOverlay) {
+        this.shortcutsOverlay.remove();
+      }
+      clearTimeout(this.tapTimer);
+      clearTimeout(this.idleTimer);
+      if (this.framePreviewer) {
+        this.framePreviewer.destroy();
+      }
+      if (this.captions) {
+        this.captions.destroy();
+      }
       if (this.controlsElement) {
         this.controlsElement.remove();
       }
@@ -1530,12 +6444,249 @@
     }
   }
 
+  // ============================================================================
+  // STRUCTURED DATA
+  // ============================================================================
+
+  /**
+   * Build schema.org VideoObject JSON-LD for a player's options. `details`
+   * adds what isn't in the options: `duration` in seconds, the provider's
+   * `thumbnailUrl` and normalized `chapters`.
+   */
+  function buildStructuredData(options, source, details) {
+    const data = {
+      "@context": "https://schema.org",
+      "@type": "VideoObject",
+      name: options.title || "Video",
+      contentUrl: options.src,
+    };
+
+    // Left out when unknown rather than made up
+    if (options.description) {
+      data.description = options.description;
+    }
+    const thumbnailUrl = options.thumbnail || details.thumbnailUrl;
+    if (thumbnailUrl) {
+      data.thumbnailUrl = thumbnailUrl;
+    }
+    if (options.uploadDate) {
+      data.uploadDate = options.uploadDate;
+    }
+
+    if (source.type === "youtube") {
+      data.embedUrl = `https://www.youtube.com/embed/${source.id}`;
+    } else if (source.type === "vimeo") {
+      data.embedUrl = `https://player.vimeo.com/video/${source.id}`;
+    }
+
+    const duration = details.duration || parseTimeOption(options.duration);
+    if (duration > 0 && isFinite(duration)) {
+      data.duration = formatISODuration(duration);
+    }
+
+    const chapters = details.chapters || [];
+    if (chapters.length) {
+      data.hasPart = chapters.map((chapter) => {
+        const clip = {
+          "@type": "Clip",
+          name: chapter.title,
+          startOffset: Math.floor(chapter.start),
+        };
+        const end = chapter.end !== null ? chapter.end : duration;
+        if (end > 0 && isFinite(end)) {
+          clip.endOffset = Math.ceil(end);
+        }
+        // Search engines link key moments to a URL that starts there
+        if (source.type === "youtube") {
+          clip.url = `https://www.youtube.com/watch?v=${
+            source.id
+          }&t=${Math.floor(chapter.start)}`;
+        } else if (source.type === "vimeo") {
+          clip.url = `https://vimeo.com/${source.id}#t=${Math.floor(
+            chapter.start
+          )}s`;
+        }
+        return clip;
+      });
+    }
+
+    const viewCount = parseInt(options.viewCount, 10);
+    if (viewCount >= 0) {
+      data.interactionStatistic = {
+        "@type": "InteractionCounter",
+        interactionType: { "@type": "WatchAction" },
+        userInteractionCount: viewCount,
+      };
+    }
+
+    return data;
+  }
+
+  /**
+   * Resolve the structured data details that need a request: the
+   * provider thumbnail and the chapters. Never rejects.
+   */
+  function resolveStructuredDetails(options, source) {
+    const thumbnail = new Promise((resolve) => {
+      // Frames captured from video files are data: URLs, no use to crawlers
+      if (options.thumbnail || !SourceDetector.usesIframe(source)) {
+        resolve(null);
+        return;
+      }
+      SourceDetector.getThumbnail(source, resolve);
+    });
+    const chapters = options.chapters
+      ? loadChapters(options.chapters).catch(() => [])
+      : Promise.resolve([]);
+    return Promise.all([thumbnail, chapters]).then(([thumbnailUrl, list]) => ({
+      thumbnailUrl,
+      chapters: list,
+    }));
+  }
+
+  // ============================================================================
+  // INSTANCE REGISTRY
+  // ============================================================================
+
+  // Container element -> the VideoPlayerInstance on it
+  const playerRegistry = new Map();
+
+  // Option attributes, named as the data attributes without `data-`.
+  // Changing these loads the new source into the running player.
+  const SOURCE_ATTRIBUTES = [
+    "video-url",
+    "type",
+    "sources",
+    "title",
+    "description",
+    "thumbnail",
+    "captions",
+    "start",
+    "end",
+    "chapters",
+    "preview-thumbnails",
+  ];
+
+  // Changing the others updates the player in place where
+  // applyAttributeChange() can, and rebuilds it otherwise
+  const OPTION_ATTRIBUTES = SOURCE_ATTRIBUTES.concat([
+    "autoplay",
+    "muted",
+    "center-button",
+    "hide-controls",
+    "shuffle",
+    "resume",
+    "sticky",
+    "ratio",
+    "thumbnail-overlay",
+    "controls-timeout",
+    "keymap",
+    "upload-date",
+    "duration",
+    "view-count",
+    "playlist",
+    "repeat",
+    "auto-advance",
+    "up-next-countdown",
+    "load",
+    "theme",
+  ]);
+
+  /**
+   * Apply the changed attribute `name` to a running player. `options` are
+   * the ones the element's attributes now describe. Returns false when the
+   * player has to be rebuilt instead.
+   */
+  function applyAttributeChange(instance, name, options) {
+    switch (name) {
+      case "muted":
+        instance.setMuted(options.muted).catch(() => {});
+        return true;
+      case "ratio":
+        instance.options.ratio = options.ratio;
+        instance.uiControls.setAspectRatio();
+        return true;
+      case "controls-timeout":
+        instance.options.controlsTimeout = options.controlsTimeout;
+        instance.uiControls.showControls();
+        return true;
+      case "keymap":
+        instance.uiControls.keymap = createKeymap(options.keymap);
+        return true;
+      case "theme":
+        instance.setTheme(options.theme);
+        return true;
+      case "hide-controls":
+        instance.options.hideControls = options.hideControls;
+        instance.wrapper.classList.toggle(
+          "vp-hide-controls",
+          options.hideControls || options.autoplay
+        );
+        return true;
+      case "auto-advance":
+      case "up-next-countdown":
+        // Read when an item ends
+        instance.options.autoAdvance = options.autoAdvance;
+        instance.options.upNextCountdown = options.upNextCountdown;
+        return true;
+      case "shuffle":
+      case "repeat":
+        if (!instance.playlist) {
+          return false;
+        }
+        instance.setShuffle(options.shuffle);
+        instance.setRepeat(options.repeat);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Load the source `options` describe into a running player
+   */
+  function reloadSource(instance, options) {
+    instance.loadSource(getSourceOptions(options)).catch((error) => {
+      // Removing the element cancels the load
+      if (!instance.destroyed) {
+        console.error("VideoPlayer: failed to load the new source:", error);
+      }
+    });
+  }
+
   // ============================================================================
   // VIDEO PLAYER (PUBLIC API)
   // ============================================================================
 
-  class VideoPlayerInstance {
+  /**
+   * Detect the source from `options`: the first playable entry of
+   * `sources`, or `src`
+   */
+  function detectSource(options) {
+    const hasSources = !!(options.sources && options.sources.length);
+    if (!options.src && !hasSources) {
+      throw new Error("VideoPlayer: src is required");
+    }
+
+    const source = hasSources
+      ? SourceDetector.select(options.sources)
+      : SourceDetector.detect(options.src, options.type);
+    if (!source.type) {
+      throw new Error("VideoPlayer: Unsupported video source");
+    }
+    if (!options.src) {
+      options.src = source.src;
+    }
+    return source;
+  }
+
+  // Positions before this many seconds (or as close to the end) aren't resumed
+  const RESUME_MIN_TIME = 5;
+  const RESUME_SAVE_INTERVAL = 5;
+
+  class VideoPlayerInstance extends EventEmitter {
     constructor(container, options) {
+      super();
       this.container = container;
       this.options = Object.assign(
         {
@@ -1547,9 +6698,30 @@
           thumbnailOverlay: null,
           showCenterButton: false,
           hideControls: false,
+          controlsTimeout: 3,
           title: null,
           description: null,
           uploadDate: null,
+          duration: null,
+          viewCount: null,
+          type: null,
+          sources: null,
+          captions: null,
+          playlist: null,
+          shuffle: false,
+          repeat: "none",
+          autoAdvance: true,
+          upNextCountdown: 0,
+          resume: false,
+          sticky: false,
+          start: null,
+          end: null,
+          chapters: null,
+          previewThumbnails: null,
+          keymap: null,
+          load: "eager",
+          theme: null,
+          icons: null,
         },
         options
       );
@@ -1560,22 +6732,47 @@
         this.options.loop = true;
       }
 
-      if (!this.options.src) {
-        throw new Error("VideoPlayer: src is required");
+      // Background videos can't wait for a click
+      if (!LOAD_MODES.includes(this.options.load)) {
+        this.options.load = "eager";
+      } else if (this.options.autoplay && this.options.load === "click") {
+        this.options.load = "visible";
       }
 
+      // A playlist supplies the source options of its current item
+      this.playlist = null;
+      if (this.options.playlist && this.options.playlist.length) {
+        this.playlist = new Playlist(this.options.playlist, this.options);
+        Object.assign(this.options, getSourceOptions(this.playlist.current));
+        // Playlists advance (or repeat) on "ended" instead of looping
+        this.options.loop = false;
+      }
+
+      this.source = detectSource(this.options);
+
       if (!this.options.container) {
         throw new Error("VideoPlayer: container is required");
       }
 
-      // Detect source
-      this.source = SourceDetector.detect(this.options.src);
-      if (!this.source.type) {
-        throw new Error("VideoPlayer: Unsupported video source");
+      // One player per element
+      const previous = playerRegistry.get(this.container);
+      if (previous) {
+        previous.destroy();
+      }
+      this.destroyed = false;
+      // Cancel functions of the waitFor() calls still pending
+      this.pendingWaits = new Set();
+
+      // Adopt markup from renderToString() instead of adding a second copy
+      const rendered = this.container.querySelector(
+        ":scope > .vp-wrapper[data-vp-ssr]"
+      );
+      if (rendered) {
+        rendered.removeAttribute("data-vp-ssr");
       }
 
       // Create wrapper with semantic structure
-      this.wrapper = document.createElement("figure");
+      this.wrapper = rendered || document.createElement("figure");
       this.wrapper.className = "vp-wrapper";
       this.wrapper.setAttribute("data-ratio", this.options.ratio || "16:9");
       this.wrapper.setAttribute("role", "region");
@@ -1586,17 +6783,36 @@
       if (this.options.hideControls || this.options.autoplay) {
         this.wrapper.classList.add("vp-hide-controls");
       }
-      this.container.appendChild(this.wrapper);
+      if (this.options.theme) {
+        this.setTheme(this.options.theme);
+      }
+      if (!rendered) {
+        this.container.appendChild(this.wrapper);
+      }
 
       // Create player container with semantic structure
-      this.playerContainer = document.createElement("div");
+      this.playerContainer =
+        (rendered && rendered.querySelector(".vp-container")) ||
+        document.createElement("div");
       this.playerContainer.className = "vp-container";
       this.playerContainer.setAttribute("role", "application");
       this.playerContainer.setAttribute("aria-label", "Video content");
-      this.wrapper.appendChild(this.playerContainer);
+      if (!this.playerContainer.parentNode) {
+        this.wrapper.appendChild(this.playerContainer);
+      }
+
+      // Create player based on source type, or a facade until it's needed
+      this.facade = null;
+      this.lazyObserver = null;
+      if (this.options.load === "eager") {
+        this.player = this.createPlayer();
+      } else {
+        this.player = this.createFacade();
+      }
 
-      // Create player based on source type
-      this.player = this.createPlayer();
+      this.playing = false;
+      this.ended = false;
+      this.trackPlaybackState();
 
       // Create UI controls
       this.uiControls = new UIControls(
@@ -1605,6 +6821,26 @@
         this.options
       );
 
+      this.uiControls.onChapterChange = (chapter) => {
+        this.forwardEvent("chapterchange", chapter);
+      };
+      this.uiControls.onControlsVisibilityChange = (visible) => {
+        this.forwardEvent(visible ? "controlsshown" : "controlshidden");
+      };
+      if (this.playlist) {
+        this.setupPlaylist();
+      }
+      if (this.options.resume) {
+        this.setupResume();
+      }
+      if (this.options.sticky) {
+        this.setupMiniPlayer();
+      }
+      if (this.facade) {
+        this.setupLazyLoad();
+      }
+      this.addStructuredData();
+
       // Handle fullscreen changes
       this.fullscreenHandlers = {
         fullscreenchange: () => {
@@ -1637,83 +6873,678 @@
         },
       };
 
-      document.addEventListener(
-        "fullscreenchange",
-        this.fullscreenHandlers.fullscreenchange
+      document.addEventListener(
+        "fullscreenchange",
+        this.fullscreenHandlers.fullscreenchange
+      );
+      document.addEventListener(
+        "webkitfullscreenchange",
+        this.fullscreenHandlers.webkitfullscreenchange
+      );
+      document.addEventListener(
+        "mozfullscreenchange",
+        this.fullscreenHandlers.mozfullscreenchange
+      );
+      document.addEventListener(
+        "MSFullscreenChange",
+        this.fullscreenHandlers.MSFullscreenChange
+      );
+
+      playerRegistry.set(this.container, this);
+    }
+
+    /**
+     * Create the backend for `this.source`
+     * @param {Object} [overrides] - Options for this backend only
+     */
+    createPlayer(overrides) {
+      const provider = getProvider(this.source.type);
+      if (!provider) {
+        throw new Error("VideoPlayer: Unsupported player type");
+      }
+      const player = provider.createPlayer(
+        this.playerContainer,
+        this.source,
+        overrides ? Object.assign({}, this.options, overrides) : this.options
+      );
+      player.on("*", (event, data) => this.forwardEvent(event, data));
+      return player;
+    }
+
+    /**
+     * Replace the backend with a new one for `this.source`. The volume,
+     * mute state and playback speed carry over. If the new backend can't
+     * be created, the current one stays.
+     * @param {Object} [overrides] - Options for the new backend only
+     * @returns {BasePlayer} The new backend
+     */
+    replacePlayer(overrides) {
+      const previous = this.player;
+      const carried = {
+        volume: previous.volume,
+        muted: previous.isMuted,
+        playbackRate: previous.getPlaybackRate(),
+      };
+
+      const muted = this.options.muted;
+      this.options.muted = carried.muted;
+      let player;
+      try {
+        player = this.createPlayer(overrides);
+      } catch (error) {
+        this.options.muted = muted;
+        throw error;
+      }
+      previous.destroy();
+      this.player = player;
+      this.playing = false;
+      this.ended = false;
+      this.uiControls.setPlayer(player);
+
+      // Backends take settings reliably only once they are ready
+      player.once("ready", () => {
+        if (player.volume !== carried.volume) {
+          player.setVolume(carried.volume);
+        }
+        // Unmuting a video only allowed to play muted would stop it
+        if (
+          player.isMuted !== carried.muted &&
+          (carried.muted || player.isPaused)
+        ) {
+          player.setMuted(carried.muted);
+        }
+        if (carried.playbackRate !== 1) {
+          player.setPlaybackRate(carried.playbackRate);
+        }
+      });
+      return player;
+    }
+
+    createFacade() {
+      const facade = new FacadePlayer(
+        this.playerContainer,
+        this.source,
+        this.options
+      );
+      facade.on("*", (event, data) => this.forwardEvent(event, data));
+      facade.onActivate = (autoplay) => this.activate(autoplay);
+      this.facade = facade;
+      this.wrapper.classList.add("vp-facade");
+      return facade;
+    }
+
+    /**
+     * With `load: "visible"`, load the backend once the player nears the
+     * viewport; "click" waits for play()
+     */
+    setupLazyLoad() {
+      if (this.options.load !== "visible") {
+        return;
+      }
+      if (!window.IntersectionObserver) {
+        this.activate(this.options.autoplay);
+        return;
+      }
+      this.lazyObserver = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            this.activate(this.options.autoplay);
+          }
+        },
+        { rootMargin: LAZY_LOAD_MARGIN }
+      );
+      this.lazyObserver.observe(this.wrapper);
+    }
+
+    /**
+     * Load the real backend in place of the facade, then play if asked
+     */
+    activate(autoplay) {
+      if (!this.facade) {
+        return;
+      }
+      this.endFacade();
+      // Backends with `autoplay` start on their own; a click asks the new
+      // backend to start while the browser still counts it as one
+      const playOnLoad = autoplay && !this.options.autoplay;
+      const player = this.replacePlayer(playOnLoad ? { playOnLoad } : null);
+      // For custom backends that don't know `playOnLoad`
+      if (playOnLoad) {
+        player.once("ready", () => {
+          if (player.isPaused) player.play();
+        });
+      }
+    }
+
+    endFacade() {
+      if (this.lazyObserver) {
+        this.lazyObserver.disconnect();
+        this.lazyObserver = null;
+      }
+      if (this.facade) {
+        this.facade.onActivate = null;
+        this.facade = null;
+        this.wrapper.classList.remove("vp-facade");
+      }
+    }
+
+    /**
+     * Switch to another video in place: the wrapper, controls, fullscreen
+     * state and manager registration stay, and the volume, mute state and
+     * playback speed carry over to the new backend.
+     * @param {string|Object} source - A URL, or `{ src | sources, type }`
+     * @param {Object} [options]
+     * @param {number} [options.startAt] - Position to start from, in seconds
+     * @param {string} [options.thumbnail] - Thumbnail for the new video
+     * @param {boolean} [options.autoplay] - Start playing once loaded
+     * @returns {Promise<void>} Resolves once the video is ready (and
+     *   playing, with `autoplay`)
+     */
+    loadSource(source, options) {
+      const settings = Object.assign({ startAt: 0, autoplay: false }, options);
+      const entry = typeof source === "string" ? { src: source } : source;
+      const sourceOptions = getSourceOptions(Object.assign({}, entry, options));
+
+      let detected;
+      try {
+        detected = detectSource(sourceOptions);
+      } catch (error) {
+        // Keep playing the current video
+        return Promise.reject(error);
+      }
+
+      const previous = { options: {}, source: this.source };
+      Object.keys(sourceOptions).forEach((key) => {
+        previous.options[key] = this.options[key];
+      });
+      Object.assign(this.options, sourceOptions);
+      this.source = detected;
+      try {
+        this.replacePlayer();
+      } catch (error) {
+        Object.assign(this.options, previous.options);
+        this.source = previous.source;
+        return Promise.reject(error);
+      }
+      // Loading another video ends lazy loading too
+      this.endFacade();
+      const ready = this.waitFor("ready", null, 30000);
+      this.forwardEvent("sourcechange", {
+        type: detected.type,
+        id: detected.id,
+        src: this.options.src,
+      });
+
+      return ready
+        .then(() => (settings.startAt > 0 ? this.seek(settings.startAt) : null))
+        .then(() => (settings.autoplay ? this.play() : undefined));
+    }
+
+    /**
+     * Remember the playback position of each source and offer to resume
+     * it when the source is played again
+     */
+    setupResume() {
+      const key = () => `vp-resume:${this.source.type}:${this.source.id}`;
+      let checkedKey = null;
+      let savedTime = 0;
+
+      const save = (time) => {
+        // Back near the start: nothing left to resume
+        if (time < RESUME_MIN_TIME) {
+          removePreference(key());
+        } else {
+          writePreference(key(), String(Math.floor(time)));
+        }
+        savedTime = time;
+      };
+
+      this.on("ready", () => {
+        // HTML5 fallbacks report ready again; prompt once per source
+        if (checkedKey === key()) return;
+        checkedKey = key();
+        savedTime = 0;
+
+        const time = parseFloat(readPreference(key()));
+        const duration = this.player.getDuration();
+        if (
+          time >= RESUME_MIN_TIME &&
+          (!duration || time < duration - RESUME_MIN_TIME)
+        ) {
+          this.uiControls.showResumePrompt(time, () => {
+            // Failures surface as "error" events
+            this.seek(time)
+              .then(() => this.play())
+              .catch(() => {});
+          });
+        }
+      });
+      this.on("timeupdate", (time) => {
+        if (Math.abs(time - savedTime) >= RESUME_SAVE_INTERVAL) {
+          save(time);
+        }
+      });
+      this.on("pause", () => save(this.player.getCurrentTime()));
+      this.on("ended", () => {
+        this.uiControls.hideResumePrompt();
+        removePreference(key());
+      });
+      this.on("sourcechange", () => {
+        checkedKey = null;
+      });
+    }
+
+    setupPlaylist() {
+      this.uiControls.onPrevious = () => this.previous();
+      this.uiControls.onNext = () => this.next();
+      this.updatePlaylistButtons();
+
+      this.on("ended", () => {
+        if (this.playlist.repeat === "one") {
+          this.player.setCurrentTime(0);
+          this.player.play();
+          return;
+        }
+        const next = this.playlist.getNextIndex();
+        if (next === -1 || !this.options.autoAdvance) {
+          return;
+        }
+        // Failures surface as "error" events; nothing to handle here
+        const advance = () => this.playItem(next).catch(() => {});
+        if (this.options.upNextCountdown > 0) {
+          this.uiControls.showUpNext(
+            getSourceOptions(this.playlist.items[next]),
+            this.options.upNextCountdown,
+            advance
+          );
+        } else {
+          advance();
+        }
+      });
+    }
+
+    updatePlaylistButtons() {
+      this.uiControls.updatePlaylistButtons(
+        this.playlist.getPreviousIndex() !== -1,
+        this.playlist.getNextIndex() !== -1
+      );
+    }
+
+    /**
+     * Switch to playlist item `index` (its position in the `playlist`
+     * option) and play it. Resolves once it is playing.
+     * @param {number} index
+     * @returns {Promise<void>}
+     */
+    playItem(index) {
+      if (!this.playlist || !this.playlist.items[index]) {
+        return Promise.reject(
+          new Error(`VideoPlayer: no playlist item ${index}`)
+        );
+      }
+
+      this.playlist.select(index);
+      const loaded = this.loadSource(this.playlist.current, {
+        autoplay: true,
+      });
+      this.updatePlaylistButtons();
+      this.forwardEvent("playlistitem", {
+        index,
+        item: this.playlist.current,
+      });
+      return loaded;
+    }
+
+    /**
+     * Play the next playlist item, if any.
+     * @returns {Promise<void>}
+     */
+    next() {
+      const index = this.playlist ? this.playlist.getNextIndex() : -1;
+      return index === -1 ? Promise.resolve() : this.playItem(index);
+    }
+
+    /**
+     * Play the previous playlist item, if any.
+     * @returns {Promise<void>}
+     */
+    previous() {
+      const index = this.playlist ? this.playlist.getPreviousIndex() : -1;
+      return index === -1 ? Promise.resolve() : this.playItem(index);
+    }
+
+    /**
+     * Turn shuffled play order on or off.
+     * @param {boolean} shuffle
+     */
+    setShuffle(shuffle) {
+      if (this.playlist) {
+        this.playlist.setShuffle(shuffle);
+        this.updatePlaylistButtons();
+      }
+    }
+
+    /**
+     * Set the repeat mode: "none", "all" (loop the playlist) or "one".
+     * @param {string} mode
+     */
+    setRepeat(mode) {
+      if (this.playlist) {
+        this.playlist.setRepeat(mode);
+        this.updatePlaylistButtons();
+      }
+    }
+
+    addStructuredData() {
+      // Add schema.org VideoObject structured data for SEO
+      const script =
+        this.wrapper.querySelector('script[type="application/ld+json"]') ||
+        document.createElement("script");
+      script.type = "application/ld+json";
+      this.wrapper.appendChild(script);
+      this.structuredData = script;
+      this.structuredDetails = {};
+
+      this.resolveStructuredData();
+      this.on("durationchange", () => this.updateStructuredData());
+      this.on("sourcechange", () => this.resolveStructuredData());
+    }
+
+    /**
+     * Look up the thumbnail and chapters of the current source
+     */
+    resolveStructuredData() {
+      const source = this.source;
+      this.structuredDetails = {};
+      this.updateStructuredData();
+      resolveStructuredDetails(this.options, source).then((details) => {
+        if (this.source === source) {
+          this.structuredDetails = details;
+          this.updateStructuredData();
+        }
+      });
+    }
+
+    updateStructuredData() {
+      const details = Object.assign(
+        { duration: this.player.getDuration() },
+        this.structuredDetails
       );
-      document.addEventListener(
-        "webkitfullscreenchange",
-        this.fullscreenHandlers.webkitfullscreenchange
+      this.structuredData.textContent = JSON.stringify(
+        buildStructuredData(this.options, this.source, details)
       );
-      document.addEventListener(
-        "mozfullscreenchange",
-        this.fullscreenHandlers.mozfullscreenchange
+    }
+
+    /**
+     * Re-emit a player event on the instance and as a bubbling DOM
+     * `vp:<event>` CustomEvent on the container element
+     */
+    forwardEvent(event, data) {
+      this.emit(event, data);
+      this.container.dispatchEvent(
+        new CustomEvent(`vp:${event}`, {
+          bubbles: true,
+          detail: { player: this, data },
+        })
       );
-      document.addEventListener(
-        "MSFullscreenChange",
-        this.fullscreenHandlers.MSFullscreenChange
+    }
+
+    /**
+     * Dock into the mini player while playing out of view (`sticky`)
+     */
+    setupMiniPlayer() {
+      this.miniPlayer = new MiniPlayer(this.wrapper, {
+        ratio: this.options.ratio,
+        icons: this.options.icons,
+        onClose: () => this.player.pause(),
+      });
+      this.on("play", () => this.miniPlayer.setPlaying(true));
+      this.on("pause", () => this.miniPlayer.setPlaying(false));
+      this.on("ended", () => this.miniPlayer.setPlaying(false));
+    }
+
+    /**
+     * Keep a confirmed playing/ended state, driven by backend events rather
+     * than the optimistic `isPaused` flag the players set on request
+     */
+    trackPlaybackState() {
+      this.on("play", () => {
+        this.playing = true;
+        this.ended = false;
+      });
+      this.on("pause", () => {
+        this.playing = false;
+      });
+      this.on("ended", () => {
+        this.playing = false;
+        this.ended = true;
+      });
+    }
+
+    /**
+     * Wait for the next `event` whose payload passes `predicate`. Rejects
+     * on a player error, after `timeout` milliseconds or when the player
+     * is destroyed.
+     */
+    waitFor(event, predicate, timeout) {
+      return new Promise((resolve, reject) => {
+        const cleanup = () => {
+          clearTimeout(timer);
+          this.off(event, onEvent);
+          this.off("error", onError);
+          this.pendingWaits.delete(cancel);
+        };
+        const cancel = (error) => {
+          cleanup();
+          reject(error);
+        };
+        const onEvent = (data) => {
+          if (!predicate || predicate(data)) {
+            cleanup();
+            resolve(data);
+          }
+        };
+        const onError = (error) => {
+          cleanup();
+          const failure = new Error(`VideoPlayer: ${error.message}`);
+          failure.code = error.code;
+          failure.provider = error.provider;
+          reject(failure);
+        };
+        const timer = setTimeout(() => {
+          cleanup();
+          reject(new Error(`VideoPlayer: timed out waiting for ${event}`));
+        }, timeout || 10000);
+        this.on(event, onEvent);
+        this.on("error", onError);
+        this.pendingWaits.add(cancel);
+      });
+    }
+
+    /**
+     * Settle once the backend has emitted the confirming event and the
+     * promise returned by the backend call (if any) has resolved
+     */
+    confirm(eventPromise, backendResult) {
+      return Promise.all([eventPromise, backendResult]).then(() => undefined);
+    }
+
+    /**
+     * Start playback. Resolves once the video is actually playing and
+     * rejects if the backend refuses (e.g. autoplay policies).
+     * @returns {Promise<void>}
+     */
+    play() {
+      if (this.playing) {
+        return Promise.resolve();
+      }
+      // Loading the backend from the facade takes longer than a play
+      const started = this.waitFor("play", null, this.facade ? 30000 : null);
+      return this.confirm(started, this.player.play());
+    }
+
+    /**
+     * Pause playback. Resolves once the video is actually paused.
+     * @returns {Promise<void>}
+     */
+    pause() {
+      if (!this.playing) {
+        this.player.pause();
+        return Promise.resolve();
+      }
+      const paused = this.waitFor("pause");
+      return this.confirm(paused, this.player.pause());
+    }
+
+    /**
+     * Seek to `time` seconds. Resolves once the backend reports the new
+     * position.
+     * @param {number} time
+     * @returns {Promise<void>}
+     */
+    seek(time) {
+      const target = this.player.clampToClip(
+        Math.max(0, Math.min(time, this.player.getDuration() || time))
       );
+      const seeked = this.waitFor("seeked");
+      const result = this.player.setCurrentTime(target);
+      // The Vimeo SDK promise resolves with the reached position too
+      const confirmed =
+        result && typeof result.then === "function"
+          ? Promise.race([seeked, result])
+          : seeked;
+      return confirmed.then(() => undefined);
     }
 
-    createPlayer() {
-      switch (this.source.type) {
-        case "youtube":
-          return new YouTubePlayer(
-            this.playerContainer,
-            this.source,
-            this.options
-          );
-        case "vimeo":
-          return new VimeoPlayer(
-            this.playerContainer,
-            this.source,
-            this.options
-          );
-        case "mp4":
-          return new HTML5Player(
-            this.playerContainer,
-            this.source,
-            this.options
-          );
-        default:
-          throw new Error("VideoPlayer: Unsupported player type");
+    /**
+     * Set the volume, from 0 to 1.
+     * @param {number} volume
+     * @returns {Promise<void>}
+     */
+    setVolume(volume) {
+      const value = Math.max(0, Math.min(1, volume));
+      if (value === this.player.volume) {
+        return Promise.resolve();
       }
+      const changed = this.waitFor("volumechange");
+      return this.confirm(changed, this.player.setVolume(value));
     }
 
-    addStructuredData() {
-      // Add schema.org VideoObject structured data for SEO
-      const script = document.createElement("script");
-      script.type = "application/ld+json";
+    /**
+     * Mute the audio.
+     * @returns {Promise<void>}
+     */
+    mute() {
+      return this.setMuted(true);
+    }
 
-      const videoData = {
-        "@context": "https://schema.org",
-        "@type": "VideoObject",
-        name: this.options.title || "Video",
-        description: this.options.description || "",
-        thumbnailUrl: this.options.thumbnail || "",
-        uploadDate: this.options.uploadDate || new Date().toISOString(),
-        contentUrl: this.options.src,
-      };
+    /**
+     * Unmute the audio.
+     * @returns {Promise<void>}
+     */
+    unmute() {
+      return this.setMuted(false);
+    }
 
-      if (this.source.type === "youtube") {
-        videoData.embedUrl = `https://www.youtube.com/embed/${this.source.id}`;
-      } else if (this.source.type === "vimeo") {
-        videoData.embedUrl = `https://player.vimeo.com/video/${this.source.id}`;
+    setMuted(muted) {
+      if (muted === this.player.isMuted) {
+        return Promise.resolve();
       }
+      const changed = this.waitFor("volumechange");
+      return this.confirm(changed, this.player.setMuted(muted));
+    }
 
-      script.textContent = JSON.stringify(videoData);
-      this.wrapper.appendChild(script);
+    /**
+     * Play the video in a floating Picture-in-Picture window. Resolves
+     * once it's open; rejects where it isn't supported (YouTube).
+     * @returns {Promise<void>}
+     */
+    enterPictureInPicture() {
+      if (this.player.isPictureInPicture) {
+        return Promise.resolve();
+      }
+      if (!this.player.supportsPictureInPicture()) {
+        return this.player.enterPictureInPicture();
+      }
+      const entered = this.waitFor("enterpip");
+      return this.confirm(entered, this.player.enterPictureInPicture());
     }
 
-    play() {
-      this.player.play();
+    /**
+     * Close the Picture-in-Picture window.
+     * @returns {Promise<void>}
+     */
+    exitPictureInPicture() {
+      if (!this.player.isPictureInPicture) {
+        return Promise.resolve();
+      }
+      const left = this.waitFor("leavepip");
+      return this.confirm(left, this.player.exitPictureInPicture());
     }
 
-    pause() {
-      this.player.pause();
+    /**
+     * Get a snapshot of the playback state.
+     * @returns {{paused: boolean, ended: boolean, currentTime: number,
+     *   duration: number, volume: number, muted: boolean,
+     *   playbackRate: number, pictureInPicture: boolean,
+     *   source: {type: string, id: string}}}
+     */
+    getState() {
+      return {
+        paused: !this.playing,
+        ended: this.ended,
+        currentTime: this.player.getCurrentTime(),
+        duration: this.player.getDuration(),
+        volume: this.player.volume,
+        muted: this.player.isMuted,
+        playbackRate: this.player.getPlaybackRate(),
+        pictureInPicture: this.player.isPictureInPicture,
+        source: { type: this.source.type, id: this.source.id },
+      };
     }
 
+    /**
+     * Switch to a theme at runtime: a preset name ("light", "dark",
+     * "minimal", "youtube" or one defined in your CSS) or `null` for the
+     * default look. An object overrides theme variables instead, e.g.
+     * `{ accentColor: "#1e90ff" }` sets `--vp-accent-color` (null removes).
+     * @param {string|Object|null} theme
+     */
+    setTheme(theme) {
+      if (theme && typeof theme === "object") {
+        Object.keys(theme).forEach((name) => {
+          const property =
+            "--vp-" +
+            name.replace(/[A-Z]/g, (char) => "-" + char.toLowerCase());
+          if (theme[name] === null) {
+            this.wrapper.style.removeProperty(property);
+          } else {
+            this.wrapper.style.setProperty(property, theme[name]);
+          }
+        });
+        return;
+      }
+
+      this.options.theme = theme || null;
+      if (theme) {
+        this.wrapper.setAttribute("data-theme", theme);
+      } else {
+        this.wrapper.removeAttribute("data-theme");
+      }
+    }
+
+    // on(), off() and once() come from EventEmitter; the events are the
+    // ones documented on BasePlayer.
+
     destroy() {
+      if (this.destroyed) {
+        return;
+      }
+      this.destroyed = true;
+      if (playerRegistry.get(this.container) === this) {
+        playerRegistry.delete(this.container);
+      }
+
       // Remove fullscreen event listeners
       if (this.fullscreenHandlers) {
         document.removeEventListener(
@@ -1734,59 +7565,599 @@
         );
       }
 
+      this.endFacade();
+      if (this.miniPlayer) {
+        this.miniPlayer.destroy();
+      }
       if (this.uiControls) {
         this.uiControls.destroy();
       }
       if (this.player) {
         this.player.destroy();
       }
+      this.pendingWaits.forEach((cancel) =>
+        cancel(new Error("VideoPlayer: the player was destroyed"))
+      );
+      this.callbacks = {};
       if (this.wrapper && this.wrapper.parentNode) {
         this.wrapper.parentNode.removeChild(this.wrapper);
       }
     }
   }
 
+  // ============================================================================
+  // SERVER-SIDE RENDERING
+  // ============================================================================
+
+  // Options whose data attribute isn't the kebab-cased option name
+  const DATA_ATTRIBUTE_NAMES = {
+    src: "video-url",
+    showCenterButton: "center-button",
+  };
+
+  // Options that can't be written as attributes, or follow from others
+  const UNRENDERED_OPTIONS = ["container", "loop", "icons"];
+
+  const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  };
+
+  function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Write options as the data attributes getOptionsFromElement() reads
+   */
+  function renderDataAttributes(options) {
+    return Object.keys(options)
+      .filter(
+        (key) =>
+          UNRENDERED_OPTIONS.indexOf(key) === -1 &&
+          options[key] !== null &&
+          options[key] !== undefined
+      )
+      .map((key) => {
+        const name =
+          DATA_ATTRIBUTE_NAMES[key] ||
+          key.replace(/[A-Z]/g, (char) => "-" + char.toLowerCase());
+        const value =
+          typeof options[key] === "object"
+            ? JSON.stringify(options[key])
+            : String(options[key]);
+        return ` data-${name}="${escapeHTML(value)}"`;
+      })
+      .join("");
+  }
+
+  /**
+   * Render a `[video-player]` element for `options` without a DOM, e.g. in
+   * Node for static pages: the wrapper and its aspect-ratio box, the
+   * thumbnail and the JSON-LD. The browser script hydrates this markup in
+   * place. Thumbnails that need a request (Vimeo, video frames) are left
+   * to the browser.
+   */
+  function renderToString(options) {
+    const attributes = Object.assign({ ratio: "16:9" }, options);
+    // Resolve the source the way VideoPlayerInstance does: the playlist's
+    // current item, and `src` from the selected source
+    const settings = Object.assign({}, attributes);
+    if (settings.playlist && settings.playlist.length) {
+      const playlist = new Playlist(settings.playlist, settings);
+      Object.assign(settings, getSourceOptions(playlist.current));
+    }
+    const source = detectSource(settings);
+    const ratio = settings.ratio || "16:9";
+    const thumbnail =
+      settings.thumbnail ||
+      (source.type === "youtube" ? getYouTubeThumbnail(source.id) : null);
+
+    const wrapperClasses = ["vp-wrapper"];
+    if (settings.thumbnail) {
+      wrapperClasses.push("has-custom-thumbnail");
+    }
+    if (settings.hideControls || settings.autoplay) {
+      wrapperClasses.push("vp-hide-controls");
+    }
+
+    let media = "";
+    if (settings.thumbnail && settings.thumbnailOverlay) {
+      media += `<div class="vp-thumbnail-overlay" data-overlay="${escapeHTML(
+        settings.thumbnailOverlay
+      )}"></div>`;
+    }
+    if (thumbnail) {
+      media += `<img class="vp-thumbnail" src="${escapeHTML(
+        thumbnail
+      )}" alt="Video thumbnail">`;
+    }
+
+    let chapters = null;
+    try {
+      chapters = settings.chapters && parseInlineChapters(settings.chapters);
+    } catch (e) {
+      // Invalid JSON; the browser reports it
+    }
+    const structuredData = buildStructuredData(settings, source, {
+      thumbnailUrl: thumbnail,
+      chapters: chapters || [],
+    });
+    // Keep "</script>" in strings from closing the element
+    const json = JSON.stringify(structuredData).replace(/</g, "\\u003c");
+
+    return (
+      `<div video-player${renderDataAttributes(attributes)}>` +
+      `<figure class="${wrapperClasses.join(" ")}"` +
+      ` data-ratio="${escapeHTML(ratio)}" role="region"` +
+      ` aria-label="Video player"` +
+      (settings.autoplay ? ` data-autoplay="true"` : "") +
+      (settings.theme ? ` data-theme="${escapeHTML(settings.theme)}"` : "") +
+      ` style="--vp-aspect-padding: ${getAspectRatioPadding(ratio)}%"` +
+      ` data-vp-ssr>` +
+      `<div class="vp-container" role="application" aria-label="Video content">` +
+      media +
+      `</div>` +
+      `<script type="application/ld+json">${json}</script>` +
+      `</figure>` +
+      `</div>`
+    );
+  }
+
   // ============================================================================
   // PUBLIC API
   // ============================================================================
 
-  window.VideoPlayer = {
+  const VideoPlayer = {
     init: function (options) {
       return new VideoPlayerInstance(options.container, options);
     },
+
+    /**
+     * Add a source provider (or replace the one with the same name).
+     * See the PROVIDER REGISTRY section for the provider shape.
+     */
+    registerProvider: registerProvider,
+
+    /**
+     * Use another storage for remembered captions languages and resume
+     * positions, e.g. `VideoPlayer.setStorage(window.sessionStorage)`
+     */
+    setStorage: setStorage,
+
+    /**
+     * Replace built-in icons for players created afterwards, e.g.
+     * `VideoPlayer.setIcons({ play: "<svg>...</svg>" })`. Icon names are
+     * the keys of DEFAULT_ICONS in the ICONS section.
+     */
+    setIcons: setIcons,
+
+    /**
+     * The schema.org VideoObject a `[video-player]` element describes, for
+     * server-side rendering or static generation. Resolves once the
+     * thumbnail and chapters are looked up.
+     * @param {Element} el
+     * @returns {Promise<Object>}
+     */
+    getStructuredData: function (el) {
+      return Promise.resolve().then(() => {
+        const options = getOptionsFromElement(el);
+        const source = detectSource(options);
+        return resolveStructuredDetails(options, source).then((details) =>
+          buildStructuredData(options, source, details)
+        );
+      });
+    },
+
+    /**
+     * Render a player's markup as an HTML string, without a DOM (Node).
+     * See renderToString() in the SERVER-SIDE RENDERING section.
+     * @param {Object} options - The options init() takes, minus `container`
+     * @returns {string}
+     */
+    renderToString: renderToString,
+
+    /**
+     * The player on an element (its container), or null
+     * @param {Element} el
+     * @returns {VideoPlayerInstance|null}
+     */
+    get: function (el) {
+      return playerRegistry.get(el) || null;
+    },
+
+    /**
+     * Destroy every player on the page
+     */
+    destroyAll: function () {
+      Array.from(playerRegistry.values()).forEach((instance) => {
+        instance.destroy();
+      });
+    },
+
+    // Base classes for custom providers' players
+    BasePlayer: BasePlayer,
+    HTML5Player: HTML5Player,
+    DASHPlayer: DASHPlayer,
+
+    // Streaming internals, for tests and tooling
+    parseM3U8: parseM3U8,
+    parseMPD: parseMPD,
+    TSTransmuxer: TSTransmuxer,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = VideoPlayer;
+  }
+
+  // Outside the browser (Node) only renderToString() is useful
+  if (!window || !window.document) {
+    return;
+  }
+
+  window.VideoPlayer = VideoPlayer;
+
+  /**
+   * Read the ordered source list from `data-sources` (JSON array of URLs or
+   * `{ src, type }` objects) or from <source> children of the element
+   */
+  function getSourcesFromElement(el, read) {
+    const sources = read("sources");
+    if (sources) {
+      return JSON.parse(sources);
+    }
+    const sourceElements = Array.prototype.filter.call(
+      el.children,
+      (child) => child.tagName === "SOURCE" && child.getAttribute("src")
+    );
+    if (!sourceElements.length) {
+      return null;
+    }
+    return sourceElements.map((source) => ({
+      src: source.getAttribute("src"),
+      type: source.getAttribute("type") || null,
+    }));
+  }
+
+  /**
+   * Build player options from an element's data attributes
+   */
+  function getOptionsFromElement(el) {
+    return getOptionsFromAttributes(el, (name) =>
+      el.getAttribute("data-" + name)
+    );
+  }
+
+  /**
+   * Build player options from attributes named like the data attributes
+   * minus `data-`. `read(name)` returns an attribute's value or null.
+   */
+  function getOptionsFromAttributes(el, read) {
+    const autoplay = read("autoplay") === "true";
+    return {
+      container: el,
+      src: read("video-url"),
+      type: read("type") || null,
+      sources: getSourcesFromElement(el, read),
+      thumbnail: read("thumbnail") || null,
+      thumbnailOverlay: read("thumbnail-overlay") || null,
+      showCenterButton: read("center-button") === "true",
+      hideControls: read("hide-controls") === "true",
+      controlsTimeout: read("controls-timeout")
+        ? parseFloat(read("controls-timeout"))
+        : 3,
+      title: read("title") || null,
+      description: read("description") || null,
+      uploadDate: read("upload-date") || null,
+      duration: read("duration") || null,
+      viewCount: read("view-count") || null,
+      captions: read("captions") ? JSON.parse(read("captions")) : null,
+      playlist: read("playlist") ? JSON.parse(read("playlist")) : null,
+      shuffle: read("shuffle") === "true",
+      repeat: read("repeat") || "none",
+      autoAdvance: read("auto-advance") !== "false",
+      upNextCountdown: parseInt(read("up-next-countdown"), 10) || 0,
+      resume: read("resume") === "true",
+      sticky: read("sticky") === "true",
+      load: read("load") || "eager",
+      start: read("start") || null,
+      end: read("end") || null,
+      chapters: read("chapters") || null,
+      previewThumbnails: read("preview-thumbnails") || null,
+      keymap: read("keymap") ? JSON.parse(read("keymap")) : null,
+      ratio: read("ratio") || "16:9",
+      theme: read("theme") || null,
+      autoplay: autoplay,
+      muted: autoplay ? true : read("muted") === "true",
+      loop: autoplay ? true : false,
+    };
+  }
+
+  // ============================================================================
+  // CUSTOM ELEMENT
+  // ============================================================================
+
+  // Attributes of <video-player> named unlike the data attributes. A
+  // `title` attribute would show as the browser's tooltip over the video.
+  const ELEMENT_ATTRIBUTE_NAMES = {
+    "video-url": "src",
+    title: "video-title",
   };
 
+  // The data attribute name (without `data-`) an element attribute stands for
+  function getOptionAttribute(attribute) {
+    const names = Object.keys(ELEMENT_ATTRIBUTE_NAMES);
+    return (
+      names.find((name) => ELEMENT_ATTRIBUTE_NAMES[name] === attribute) ||
+      attribute
+    );
+  }
+
+  // Present means "true", as with <video muted>
+  const BOOLEAN_ATTRIBUTES = [
+    "autoplay",
+    "muted",
+    "center-button",
+    "hide-controls",
+    "shuffle",
+    "resume",
+    "sticky",
+  ];
+
+  // Instance methods available on the element. While it has no player,
+  // the ones returning promises reject and the others throw.
+  const ELEMENT_METHODS = [
+    "play",
+    "pause",
+    "seek",
+    "setVolume",
+    "mute",
+    "unmute",
+    "setMuted",
+    "loadSource",
+    "playItem",
+    "next",
+    "previous",
+    "setShuffle",
+    "setRepeat",
+    "enterPictureInPicture",
+    "exitPictureInPicture",
+    "setTheme",
+    "getState",
+  ];
+
+  const ELEMENT_SYNC_METHODS = [
+    "setShuffle",
+    "setRepeat",
+    "setTheme",
+    "getState",
+  ];
+
+  /**
+   * `<video-player src="..." ratio="4:3" muted></video-player>`: a player
+   * configured by attributes (the data attributes without `data-`). It
+   * follows attribute changes, is destroyed when removed from the page, and
+   * has the instance's methods plus `paused`, `currentTime`, `duration`,
+   * `volume`, `muted` and `playbackRate` properties. Events are dispatched
+   * on it as `vp:<event>`.
+   */
+  class VideoPlayerElement extends HTMLElement {
+    static get observedAttributes() {
+      return OPTION_ATTRIBUTES.map(
+        (name) => ELEMENT_ATTRIBUTE_NAMES[name] || name
+      );
+    }
+
+    constructor() {
+      super();
+      this.sourceChanged = false;
+    }
+
+    /**
+     * The element's VideoPlayerInstance, or null while it has none
+     */
+    get instance() {
+      return playerRegistry.get(this) || null;
+    }
+
+    connectedCallback() {
+      if (!this.instance) {
+        this.create();
+      }
+    }
+
+    disconnectedCallback() {
+      // Moving the element disconnects and reconnects it right away
+      Promise.resolve().then(() => {
+        if (!this.isConnected) {
+          this.destroy();
+        }
+      });
+    }
+
+    attributeChangedCallback(attribute, oldValue, value) {
+      if (!this.instance || oldValue === value) {
+        return;
+      }
+      const name = getOptionAttribute(attribute);
+
+      if (SOURCE_ATTRIBUTES.indexOf(name) !== -1) {
+        // Frameworks set attributes one at a time; load the source once
+        if (!this.sourceChanged) {
+          this.sourceChanged = true;
+          Promise.resolve().then(() => {
+            this.sourceChanged = false;
+            if (this.instance) {
+              reloadSource(this.instance, this.getOptions());
+            }
+          });
+        }
+        return;
+      }
+
+      if (!applyAttributeChange(this.instance, name, this.getOptions())) {
+        this.destroy();
+        if (this.isConnected) {
+          this.create();
+        }
+      }
+    }
+
+    getOptions() {
+      return getOptionsFromAttributes(this, (name) => {
+        const attribute = ELEMENT_ATTRIBUTE_NAMES[name] || name;
+        const value = this.getAttribute(attribute);
+        return value === "" && BOOLEAN_ATTRIBUTES.indexOf(name) !== -1
+          ? "true"
+          : value;
+      });
+    }
+
+    create() {
+      try {
+        new VideoPlayerInstance(this, this.getOptions());
+      } catch (error) {
+        console.error("VideoPlayer initialization error:", error);
+      }
+    }
+
+    destroy() {
+      if (this.instance) {
+        this.instance.destroy();
+      }
+    }
+
+    get paused() {
+      return this.instance ? !this.instance.playing : true;
+    }
+
+    get currentTime() {
+      return this.instance ? this.instance.player.getCurrentTime() : 0;
+    }
+
+    set currentTime(time) {
+      if (this.instance) {
+        this.instance.seek(time).catch(() => {});
+      }
+    }
+
+    get duration() {
+      return this.instance ? this.instance.player.getDuration() : 0;
+    }
+
+    get volume() {
+      return this.instance ? this.instance.player.volume : 1;
+    }
+
+    set volume(volume) {
+      if (this.instance) {
+        this.instance.setVolume(volume).catch(() => {});
+      }
+    }
+
+    get muted() {
+      return this.instance ? this.instance.player.isMuted : false;
+    }
+
+    set muted(muted) {
+      if (this.instance) {
+        this.instance.setMuted(!!muted).catch(() => {});
+      }
+    }
+
+    get playbackRate() {
+      return this.instance ? this.instance.player.getPlaybackRate() : 1;
+    }
+
+    set playbackRate(rate) {
+      if (this.instance) {
+        this.instance.player.setPlaybackRate(rate);
+      }
+    }
+  }
+
+  ELEMENT_METHODS.forEach((method) => {
+    VideoPlayerElement.prototype[method] = function (...args) {
+      if (!this.instance) {
+        const error = new Error(
+          "VideoPlayer: the <video-player> element isn't ready"
+        );
+        if (ELEMENT_SYNC_METHODS.indexOf(method) !== -1) {
+          throw error;
+        }
+        return Promise.reject(error);
+      }
+      return this.instance[method](...args);
+    };
+  });
+
+  if (window.customElements && !window.customElements.get("video-player")) {
+    window.customElements.define("video-player", VideoPlayerElement);
+  }
+
   // Auto-initialize players from data attributes
   function autoInitializePlayers() {
     document.querySelectorAll("[video-player]").forEach((el) => {
       // Skip if already initialized
-      if (el.dataset.vpInitialized === "true") {
+      if (playerRegistry.has(el)) {
         return;
       }
 
-      // Mark as initialized
-      el.dataset.vpInitialized = "true";
+      try {
+        VideoPlayer.init(getOptionsFromElement(el));
+      } catch (error) {
+        console.error("VideoPlayer initialization error:", error);
+      }
+    });
+  }
+
+  /**
+   * Apply changed data attributes (named without `data-`) to the player
+   * on `el`, loading a new source or rebuilding it as needed
+   */
+  function updatePlayerAttributes(el, names) {
+    const instance = playerRegistry.get(el);
+    let options;
+    try {
+      options = getOptionsFromElement(el);
+    } catch (error) {
+      console.error("VideoPlayer: invalid data attributes:", error);
+      return;
+    }
 
+    const rebuild =
+      !instance ||
+      names.some(
+        (name) =>
+          SOURCE_ATTRIBUTES.indexOf(name) === -1 &&
+          !applyAttributeChange(instance, name, options)
+      );
+    if (rebuild) {
+      if (instance) {
+        instance.destroy();
+      }
       try {
-        const autoplay = el.dataset.autoplay === "true";
-        VideoPlayer.init({
-          container: el,
-          src: el.dataset.videoUrl,
-          thumbnail: el.dataset.thumbnail || null,
-          thumbnailOverlay: el.dataset.thumbnailOverlay || null,
-          showCenterButton: el.dataset.centerButton === "true",
-          hideControls: el.dataset.hideControls === "true",
-          title: el.dataset.title || null,
-          description: el.dataset.description || null,
-          uploadDate: el.dataset.uploadDate || null,
-          ratio: el.dataset.ratio || "16:9",
-          autoplay: autoplay,
-          muted: autoplay ? true : el.dataset.muted === "true",
-          loop: autoplay ? true : false,
-        });
+        VideoPlayer.init(options);
       } catch (error) {
         console.error("VideoPlayer initialization error:", error);
       }
+    } else if (names.some((name) => SOURCE_ATTRIBUTES.indexOf(name) !== -1)) {
+      reloadSource(instance, options);
+    }
+  }
+
+  /**
+   * Destroy the players on `node` and its descendants, once it has left the
+   * page (not just moved)
+   */
+  function destroyRemovedPlayers(node) {
+    playerRegistry.forEach((instance, el) => {
+      if (!el.isConnected && (el === node || node.contains(el))) {
+        instance.destroy();
+      }
     });
   }
 
@@ -1798,31 +8169,53 @@
     autoInitializePlayers();
   }
 
-  // Also support MutationObserver for dynamically added elements
+  // Follow players being added, removed and having their data attributes
+  // changed
   if (window.MutationObserver) {
     const observer = new MutationObserver(function (mutations) {
+      const changed = new Map();
+      let added = false;
       mutations.forEach(function (mutation) {
+        if (mutation.type === "attributes") {
+          const el = mutation.target;
+          if (el.hasAttribute("video-player")) {
+            const names = changed.get(el) || [];
+            names.push(mutation.attributeName.slice("data-".length));
+            changed.set(el, names);
+          }
+          return;
+        }
         mutation.addedNodes.forEach(function (node) {
+          // Element node
+          if (
+            node.nodeType === 1 &&
+            (node.hasAttribute("video-player") ||
+              node.querySelector("[video-player]"))
+          ) {
+            added = true;
+          }
+        });
+        mutation.removedNodes.forEach(function (node) {
           if (node.nodeType === 1) {
-            // Element node
-            if (node.classList && node.classList.contains("video-player")) {
-              autoInitializePlayers();
-            } else if (node.querySelectorAll) {
-              const players = node.querySelectorAll(
-                '.video-player:not([data-vp-initialized="true"])'
-              );
-              if (players.length > 0) {
-                autoInitializePlayers();
-              }
-            }
+            destroyRemovedPlayers(node);
           }
         });
       });
+      changed.forEach((names, el) => {
+        if (el.isConnected) {
+          updatePlayerAttributes(el, names);
+        }
+      });
+      if (added) {
+        autoInitializePlayers();
+      }
     });
 
     observer.observe(document.body, {
       childList: true,
       subtree: true,
+      attributes: true,
+      attributeFilter: OPTION_ATTRIBUTES.map((name) => "data-" + name),
     });
   }
-})(window);
+})(typeof window !== "undefined" ? window : null);
@@ -0,0 +1,181 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const VideoPlayer = require("../script.js");
+
+const BASE = "https://cdn.example.com/stream/";
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(\w+);/g, (entity, name) => ENTITIES[name] || entity);
+}
+
+function createElement(name, source) {
+  const attributes = [];
+  source.replace(
+    /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+    (all, key, a, b) => {
+      attributes.push({
+        name: key,
+        value: decodeEntities(a !== undefined ? a : b),
+      });
+    }
+  );
+  const find = (key) => attributes.find((attribute) => attribute.name === key);
+  return {
+    nodeType: 1,
+    localName: name.split(":").pop(),
+    attributes,
+    childNodes: [],
+    getAttribute: (key) => (find(key) ? find(key).value : null),
+    hasAttribute: (key) => !!find(key),
+    get textContent() {
+      return this.childNodes.map((child) => child.textContent).join("");
+    },
+  };
+}
+
+// Node has no DOMParser: a minimal XML parser with the DOM surface
+// parseMPD reads (documentElement, childNodes, attributes, textContent)
+function parseXML(text) {
+  const root = { childNodes: [] };
+  const stack = [root];
+  const pattern =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const parent = stack[stack.length - 1];
+    if (match[5] !== undefined) {
+      parent.childNodes.push({
+        nodeType: 3,
+        textContent: decodeEntities(match[5]),
+      });
+    } else if (match[1]) {
+      stack.pop();
+    } else if (match[2]) {
+      const element = createElement(match[2], match[3]);
+      parent.childNodes.push(element);
+      if (!match[4]) stack.push(element);
+    }
+  }
+  return {
+    documentElement:
+      root.childNodes.find((node) => node.nodeType === 1) || null,
+  };
+}
+
+function parseFixture() {
+  return VideoPlayer.parseMPD(
+    fs.readFileSync(path.join(__dirname, "fixtures", "manifest.mpd"), "utf8"),
+    BASE + "manifest.mpd",
+    parseXML
+  );
+}
+
+test("parseMPD reads video and audio adaptation sets", () => {
+  const mpd = parseFixture();
+
+  assert.strictEqual(mpd.live, false);
+  assert.strictEqual(mpd.duration, 10);
+  assert.deepStrictEqual(
+    mpd.adaptationSets.map((set) => [
+      set.contentType,
+      set.language,
+      set.representations.map((representation) => [
+        representation.id,
+        representation.bandwidth,
+        representation.mimeType,
+        representation.codecs,
+      ]),
+    ]),
+    [
+      [
+        "video",
+        null,
+        [
+          ["360p", 800000, "video/mp4", "avc1.42C01E"],
+          ["720p", 2500000, "video/mp4", "avc1.64001F"],
+        ],
+      ],
+      ["audio", "en", [["audio", 128000, "audio/mp4", "mp4a.40.2"]]],
+    ]
+  );
+});
+
+test("parseMPD builds segment indexes from SegmentTemplate", () => {
+  const mpd = parseFixture();
+
+  const video = mpd.adaptationSets[0].representations[1].getIndex();
+  assert.deepStrictEqual(video.init, {
+    url: BASE + "video/720p/init.mp4",
+    range: null,
+  });
+  assert.deepStrictEqual(
+    video.segments.map((segment) => [
+      segment.url,
+      segment.start,
+      segment.duration,
+      segment.sn,
+    ]),
+    [
+      [BASE + "video/720p/1.m4s", 0, 4, 1],
+      [BASE + "video/720p/2.m4s", 4, 4, 2],
+      [BASE + "video/720p/3.m4s", 8, 4, 3],
+    ]
+  );
+
+  const audio = mpd.adaptationSets[1].representations[0].getIndex();
+  assert.deepStrictEqual(
+    audio.segments.map((segment) => [segment.url, segment.start]),
+    [
+      [BASE + "audio/0.m4s", 0],
+      [BASE + "audio/192000.m4s", 4],
+      [BASE + "audio/384000.m4s", 8],
+    ]
+  );
+});
+
+test("parseMPD builds segment indexes from SegmentList and BaseURL", () => {
+  const mpd = VideoPlayer.parseMPD(
+    `<MPD mediaPresentationDuration="PT6S">
+      <BaseURL>media/</BaseURL>
+      <Period>
+        <AdaptationSet contentType="video" mimeType="video/mp4">
+          <Representation id="v" bandwidth="500000" codecs="avc1.42C01E">
+            <SegmentList timescale="10" duration="30">
+              <Initialization sourceURL="v.mp4" range="0-799" />
+              <SegmentURL media="v.mp4" mediaRange="800-1999" />
+              <SegmentURL media="v.mp4" mediaRange="2000-2999" />
+            </SegmentList>
+          </Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>`,
+    BASE + "manifest.mpd",
+    parseXML
+  );
+
+  const index = mpd.adaptationSets[0].representations[0].getIndex();
+  assert.deepStrictEqual(index.init, {
+    url: BASE + "media/v.mp4",
+    range: { start: 0, length: 800 },
+  });
+  assert.deepStrictEqual(
+    index.segments.map((segment) => [segment.range, segment.start]),
+    [
+      [{ start: 800, length: 1200 }, 0],
+      [{ start: 2000, length: 1000 }, 3],
+    ]
+  );
+});
+
+test("parseMPD rejects documents that aren't manifests", () => {
+  assert.throws(() => VideoPlayer.parseMPD("<html></html>", BASE, parseXML), {
+    code: "decode",
+  });
+});
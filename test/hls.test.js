@@ -0,0 +1,411 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const VideoPlayer = require("../script.js");
+
+const BASE = "https://cdn.example.com/stream/";
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+// ----------------------------------------------------------------------------
+// parseM3U8
+// ----------------------------------------------------------------------------
+
+test("parseM3U8 reads variants and audio renditions from a master playlist", () => {
+  const playlist = VideoPlayer.parseM3U8(
+    fixture("master.m3u8"),
+    BASE + "master.m3u8"
+  );
+
+  assert.strictEqual(playlist.master, true);
+  assert.deepStrictEqual(
+    playlist.variants.map((variant) => [
+      variant.url,
+      variant.bandwidth,
+      variant.codecs,
+      variant.resolution,
+      variant.audio,
+    ]),
+    [
+      [
+        BASE + "360p/index.m3u8",
+        800000,
+        "avc1.42C01E,mp4a.40.2",
+        "640x360",
+        "aac",
+      ],
+      [
+        BASE + "720p/index.m3u8",
+        2500000,
+        "avc1.64001F,mp4a.40.2",
+        "1280x720",
+        "aac",
+      ],
+    ]
+  );
+  assert.deepStrictEqual(
+    playlist.media.map((media) => [
+      media.name,
+      media.language,
+      media.default,
+      media.url,
+    ]),
+    [
+      ["English", "en", true, BASE + "audio/en.m3u8"],
+      ["Deutsch", "de", false, BASE + "audio/de.m3u8"],
+    ]
+  );
+});
+
+test("parseM3U8 reads segments, byte ranges and AES-128 keys", () => {
+  const playlist = VideoPlayer.parseM3U8(
+    fixture("media-ts.m3u8"),
+    BASE + "index.m3u8"
+  );
+
+  assert.strictEqual(playlist.master, false);
+  assert.strictEqual(playlist.targetDuration, 10);
+  assert.strictEqual(playlist.endList, true);
+  assert.strictEqual(playlist.encrypted, false);
+  assert.strictEqual(playlist.init, null);
+  assert.deepStrictEqual(
+    playlist.segments.map((segment) => [
+      segment.sn,
+      segment.start,
+      segment.duration,
+    ]),
+    [
+      [7, 0, 10],
+      [8, 10, 10],
+      [9, 20, 4.5],
+      [10, 24.5, 2],
+      [11, 26.5, 2],
+    ]
+  );
+
+  const [first, second, third, fourth, fifth] = playlist.segments;
+  assert.strictEqual(first.key.url, BASE + "keys/1.key");
+  assert.strictEqual(first.key.iv, null);
+  assert.strictEqual(second.key, first.key);
+  assert.strictEqual(third.key.url, BASE + "keys/2.key");
+  assert.deepStrictEqual(
+    Array.from(third.key.iv),
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]
+  );
+  assert.strictEqual(fourth.key, null);
+  assert.deepStrictEqual(fourth.range, { start: 0, length: 1000 });
+  assert.deepStrictEqual(fifth.range, { start: 1000, length: 500 });
+});
+
+test("parseM3U8 reads the EXT-X-MAP init segment", () => {
+  const playlist = VideoPlayer.parseM3U8(
+    fixture("media-fmp4.m3u8"),
+    BASE + "index.m3u8"
+  );
+
+  assert.deepStrictEqual(playlist.init, {
+    url: BASE + "init.mp4",
+    range: { start: 0, length: 720 },
+    key: null,
+  });
+  assert.strictEqual(playlist.endList, false);
+  assert.strictEqual(playlist.segments.length, 2);
+});
+
+test("parseM3U8 flags sample encryption and rejects other text", () => {
+  const playlist = VideoPlayer.parseM3U8(
+    '#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key"\n#EXTINF:4,\na.ts\n',
+    BASE
+  );
+  assert.strictEqual(playlist.encrypted, true);
+
+  assert.throws(() => VideoPlayer.parseM3U8("<html></html>", BASE), {
+    code: "decode",
+  });
+});
+
+// ----------------------------------------------------------------------------
+// TSTransmuxer
+// ----------------------------------------------------------------------------
+
+const VIDEO_PID = 0x100;
+const AUDIO_PID = 0x101;
+const PMT_PID = 0x1000;
+
+// Writes bits and Exp-Golomb codes, for building a sequence parameter set
+function createBitWriter() {
+  const bits = [];
+  const writer = {
+    bits(value, count) {
+      for (let i = count - 1; i >= 0; i--) {
+        bits.push((value >> i) & 1);
+      }
+      return writer;
+    },
+    ue(value) {
+      const code = value + 1;
+      const length = Math.floor(Math.log2(code));
+      return writer.bits(0, length).bits(code, length + 1);
+    },
+    bytes() {
+      bits.push(1); // rbsp_stop_one_bit
+      while (bits.length % 8) bits.push(0);
+      const bytes = [];
+      for (let i = 0; i < bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+      }
+      return bytes;
+    },
+  };
+  return writer;
+}
+
+// Baseline profile, level 3.0, 640x368 macroblocks cropped to 640x360
+const SPS = [0x67].concat(
+  createBitWriter()
+    .bits(66, 8)
+    .bits(0xc0, 8)
+    .bits(30, 8)
+    .ue(0) // seq_parameter_set_id
+    .ue(0) // log2_max_frame_num_minus4
+    .ue(0) // pic_order_cnt_type
+    .ue(0) // log2_max_pic_order_cnt_lsb_minus4
+    .ue(1) // max_num_ref_frames
+    .bits(0, 1)
+    .ue(39) // pic_width_in_mbs_minus1
+    .ue(22) // pic_height_in_map_units_minus1
+    .bits(1, 1) // frame_mbs_only_flag
+    .bits(1, 1)
+    .bits(1, 1) // frame_cropping_flag
+    .ue(0)
+    .ue(0)
+    .ue(0)
+    .ue(4)
+    .bits(0, 1) // vui_parameters_present_flag
+    .bytes()
+);
+const PPS = [0x68, 0xce, 0x3c, 0x80];
+const START_CODE = [0, 0, 0, 1];
+
+function encodeTimestamp(prefix, time) {
+  return [
+    (prefix << 4) | (Math.floor(time / 0x40000000) & 0x0e) | 1,
+    (time >> 22) & 0xff,
+    ((time >> 14) & 0xfe) | 1,
+    (time >> 7) & 0xff,
+    ((time << 1) & 0xfe) | 1,
+  ];
+}
+
+function createPES(streamId, pts, dts, payload) {
+  const timestamps =
+    dts === pts
+      ? encodeTimestamp(2, pts)
+      : encodeTimestamp(3, pts).concat(encodeTimestamp(1, dts));
+  const header = [0x80, dts === pts ? 0x80 : 0xc0, timestamps.length].concat(
+    timestamps
+  );
+  const length = streamId === 0xe0 ? 0 : header.length + payload.length;
+  return [0, 0, 1, streamId, length >> 8, length & 0xff].concat(
+    header,
+    payload
+  );
+}
+
+// Split a payload into 188-byte packets, padding the last one
+function packetize(pid, payload, counters) {
+  const packets = [];
+  for (let offset = 0; offset < payload.length; offset += 184) {
+    const chunk = payload.slice(offset, offset + 184);
+    const counter = (counters[pid] = ((counters[pid] || 0) + 1) & 0x0f);
+    const start = offset === 0 ? 0x40 : 0;
+    let header = [0x47, start | (pid >> 8), pid & 0xff, 0x10 | counter];
+    if (chunk.length < 184) {
+      const stuffing = 184 - chunk.length;
+      header[3] |= 0x20;
+      header = header.concat(
+        stuffing === 1
+          ? [0]
+          : [stuffing - 1, 0].concat(new Array(stuffing - 2).fill(0xff))
+      );
+    }
+    packets.push(header.concat(chunk));
+  }
+  return packets;
+}
+
+function createADTSFrame(payload) {
+  const length = payload.length + 7;
+  return [
+    0xff,
+    0xf1,
+    (1 << 6) | (3 << 2), // AAC LC, 48kHz
+    (2 << 6) | (length >> 11), // Stereo
+    (length >> 3) & 0xff,
+    ((length & 7) << 5) | 0x1f,
+    0xfc,
+  ].concat(payload);
+}
+
+// Two frames of H.264 video and two of AAC audio, starting at `time` (90kHz)
+function createTransportStream(time) {
+  const counters = {};
+  const pat = [].concat(
+    [0, 0, 0xb0, 13, 0, 1, 0xc1, 0, 0], // Table header
+    [0, 1, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff], // Program 1
+    [0, 0, 0, 0] // CRC, not checked
+  );
+  const pmt = [].concat(
+    [0, 2, 0xb0, 23, 0, 1, 0xc1, 0, 0], // Table header
+    [0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0], // PCR PID
+    [0x1b, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0], // H.264
+    [0x0f, 0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0], // AAC
+    [0, 0, 0, 0]
+  );
+  const aud = START_CODE.concat([0x09, 0xf0]);
+  const keyframe = aud.concat(
+    START_CODE,
+    SPS,
+    START_CODE,
+    PPS,
+    START_CODE,
+    [0x65, 0x88, 0x84, 0x21, 0xa0]
+  );
+  const frame = aud.concat(START_CODE, [0x41, 0x9a, 0x02, 0x04]);
+  const audio = createADTSFrame([0x21, 0x10, 0x04]).concat(
+    createADTSFrame([0x21, 0x10, 0x05, 0x60])
+  );
+
+  return new Uint8Array(
+    [].concat(
+      ...packetize(0, pat, counters),
+      ...packetize(PMT_PID, pmt, counters),
+      ...packetize(
+        VIDEO_PID,
+        createPES(0xe0, time + 3000, time, keyframe),
+        counters
+      ),
+      ...packetize(AUDIO_PID, createPES(0xc0, time, time, audio), counters),
+      ...packetize(
+        VIDEO_PID,
+        createPES(0xe0, time + 6000, time + 3000, frame),
+        counters
+      )
+    )
+  );
+}
+
+// Top-level boxes, or the children of `bytes` when it is a box's payload
+function readBoxes(bytes) {
+  const boxes = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = 0; offset + 8 <= bytes.length; ) {
+    const size = view.getUint32(offset);
+    boxes.push({
+      type: String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)),
+      data: bytes.subarray(offset + 8, offset + size),
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+function findBox(bytes, ...types) {
+  return types.reduce((data, type) => {
+    const box = readBoxes(data).find((candidate) => candidate.type === type);
+    assert.ok(box, "missing " + type + " box");
+    return box.data;
+  }, bytes);
+}
+
+function findTrafs(data) {
+  return readBoxes(findBox(data, "moof")).filter((box) => box.type === "traf");
+}
+
+// Low 32 bits of a version 1 tfdt's baseMediaDecodeTime
+function readBaseTime(traf) {
+  const tfdt = findBox(traf, "tfdt");
+  return new DataView(tfdt.buffer, tfdt.byteOffset).getUint32(8);
+}
+
+test("TSTransmuxer repackages H.264 and AAC as fragmented MP4", () => {
+  const transmuxer = new VideoPlayer.TSTransmuxer();
+  const result = transmuxer.transmux(createTransportStream(126000), 10);
+
+  assert.deepStrictEqual(
+    readBoxes(result.init).map((box) => box.type),
+    ["ftyp", "moov"]
+  );
+  assert.strictEqual(transmuxer.video.codec, "avc1.42C01E");
+  assert.strictEqual(transmuxer.video.width, 640);
+  assert.strictEqual(transmuxer.video.height, 360);
+  assert.strictEqual(transmuxer.audio.codec, "mp4a.40.2");
+  assert.strictEqual(transmuxer.audio.timescale, 48000);
+  assert.strictEqual(transmuxer.audio.channels, 2);
+
+  const traks = readBoxes(findBox(result.init, "moov")).filter(
+    (box) => box.type === "trak"
+  );
+  assert.strictEqual(traks.length, 2);
+  const avc1 = findBox(traks[0].data, "mdia", "minf", "stbl", "stsd").subarray(
+    8
+  );
+  assert.deepStrictEqual(
+    readBoxes(avc1).map((box) => box.type),
+    ["avc1"]
+  );
+  assert.deepStrictEqual(
+    Array.from(findBox(avc1, "avc1").subarray(24, 28)),
+    [0x02, 0x80, 0x01, 0x68] // 640x360
+  );
+
+  assert.deepStrictEqual(
+    readBoxes(result.data).map((box) => box.type),
+    ["moof", "mdat"]
+  );
+  const trafs = findTrafs(result.data);
+  assert.strictEqual(trafs.length, 2);
+
+  // The first segment starts at its playlist time, 10s, in each timescale
+  assert.strictEqual(readBaseTime(trafs[0].data), 900000);
+  assert.strictEqual(readBaseTime(trafs[1].data), 480000);
+
+  const trun = findBox(trafs[0].data, "trun");
+  const view = new DataView(trun.buffer, trun.byteOffset, trun.byteLength);
+  assert.strictEqual(view.getUint32(4), 2); // sample_count
+  assert.strictEqual(view.getUint32(12 + 8), 0x02000000); // Keyframe
+  assert.strictEqual(view.getUint32(12 + 16 + 8), 0x01010000);
+
+  // Sample data points into the mdat that follows the moof
+  const moofSize = new DataView(result.data.buffer).getUint32(0);
+  const dataOffset = view.getUint32(8);
+  assert.strictEqual(dataOffset, moofSize + 8);
+  assert.deepStrictEqual(
+    Array.from(result.data.subarray(dataOffset, dataOffset + 5)),
+    [0, 0, 0, SPS.length, 0x67]
+  );
+});
+
+test("TSTransmuxer keeps timestamps continuous across segments", () => {
+  const transmuxer = new VideoPlayer.TSTransmuxer();
+  transmuxer.transmux(createTransportStream(900000), 0);
+  const second = transmuxer.transmux(createTransportStream(900000 + 6000), 0);
+
+  assert.strictEqual(readBaseTime(findTrafs(second.data)[0].data), 6000);
+});
+
+test("TSTransmuxer rejects segments that are not MPEG-TS", () => {
+  const transmuxer = new VideoPlayer.TSTransmuxer();
+  assert.throws(
+    () => transmuxer.transmux(new Uint8Array(createADTSFrame([1, 2])), 0),
+    {
+      code: "not-supported",
+    }
+  );
+});
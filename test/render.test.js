@@ -0,0 +1,43 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const VideoPlayer = require("../script.js");
+
+function structuredData(html) {
+  const match = html.match(
+    /<script type="application\/ld\+json">(.*?)<\/script>/
+  );
+  return JSON.parse(match[1]);
+}
+
+test("renderToString takes contentUrl from the selected source", () => {
+  const html = VideoPlayer.renderToString({
+    sources: ["https://cdn.example.com/clip.webm"],
+    title: "Clip",
+  });
+
+  assert.deepStrictEqual(structuredData(html), {
+    "@context": "https://schema.org",
+    "@type": "VideoObject",
+    name: "Clip",
+    contentUrl: "https://cdn.example.com/clip.webm",
+  });
+});
+
+test("renderToString renders the playlist's current item", () => {
+  const html = VideoPlayer.renderToString({
+    playlist: [
+      { src: "https://cdn.example.com/one.mp4", title: "One" },
+      "https://cdn.example.com/two.mp4",
+    ],
+  });
+
+  assert.strictEqual(structuredData(html).name, "One");
+  assert.strictEqual(
+    structuredData(html).contentUrl,
+    "https://cdn.example.com/one.mp4"
+  );
+  assert.ok(html.includes("data-playlist="));
+});